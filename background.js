@@ -3,7 +3,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
 }
 
 if (typeof importScripts === 'function') {
-    try { importScripts('passport-parser.js'); } catch(e) {}
+    try { importScripts('i18n.js', 'passport-parser.js'); } catch(e) {}
 }
 
 (function() {
@@ -422,8 +422,11 @@ if (typeof importScripts === 'function') {
         return null;
     }
 
+    // Loaded on demand by ImageFormats.decode (image-formats.js), see BUILD.md
+    const IMAGE_DECODER_FILES = ['lib/pako_inflate.min.js', 'lib/utif.js', 'lib/heic2any.min.js'];
+
     function injectContentScripts(tabId) {
-        const scripts = ['lib/pdf.min.js', 'lib/utils.js', 'i18n.js', 'passport-parser.js', 'lib/tesseract.min.js', 'content.js'];
+        const scripts = ['lib/pdf.min.js', 'lib/utils.js', 'i18n.js', 'passport-parser.js', 'lib/tesseract.min.js', 'ocr-assets.js', 'image-preprocess.js', 'ocr-pipeline.js', 'image-formats.js', 'zip-reader.js', 'content.js'];
         const css = ['style.css'];
 
         // Chrome uses callback, Firefox uses promise
@@ -524,30 +527,119 @@ if (typeof importScripts === 'function') {
         chrome.action.setBadgeBackgroundColor({ color: color, tabId: tabId });
     }
 
-    function extractPdfText(pdf) {
+    var PDF_RENDER_SCALE = 2.0;
+    // Documents parsed for a content script stay open so it can ask for pages one at a
+    // time; they are dropped after this long without a request
+    var PDF_DOC_IDLE_MS = 5 * 60 * 1000;
+
+    // Firefox background pages have a DOM; OffscreenCanvas covers the rest
+    function createCanvas(width, height) {
+        if (typeof document !== 'undefined') {
+            var canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            return canvas;
+        }
+        return new OffscreenCanvas(width, height);
+    }
+
+    function canvasToDataURL(canvas) {
+        if (typeof canvas.toDataURL === 'function') return Promise.resolve(canvas.toDataURL('image/png'));
+        return canvas.convertToBlob({ type: 'image/png' }).then(function(blob) {
+            return new Promise(function(resolve, reject) {
+                var reader = new FileReader();
+                reader.onload = function() { resolve(reader.result); };
+                reader.onerror = function() { reject(reader.error); };
+                reader.readAsDataURL(blob);
+            });
+        });
+    }
+
+    function renderPdfPage(page) {
+        var viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+        var canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+        return page.render({ canvasContext: canvas.getContext('2d'), viewport: viewport }).promise.then(function() {
+            return canvasToDataURL(canvas);
+        });
+    }
+
+    // Text layer of every page; the content script picks the passport pages and asks for
+    // the ones it has to OCR or show with `renderPdfPage`
+    function extractPdfPages(pdf) {
         var pages = [];
-        var count = Math.min(pdf.numPages || 1, 3);
+        var count = pdf.numPages || 1;
         var chain = Promise.resolve();
 
         for (let pageNum = 1; pageNum <= count; pageNum++) {
             chain = chain.then(function() {
                 return pdf.getPage(pageNum).then(function(page) {
-                    return page.getTextContent();
-                }).then(function(textContent) {
-                    pages.push(textContent.items.map(function(item) { return item.str; }).join('\n'));
+                    return page.getTextContent().then(function(textContent) {
+                        pages.push(textContent.items.map(function(item) { return item.str; }).join('\n'));
+                    });
                 });
             });
         }
 
-        return chain.then(function() { return pages.join('\n'); });
+        return chain.then(function() { return pages; });
+    }
+
+    var openPdfDocs = {};
+    var nextPdfDocId = 1;
+
+    function touchPdfDoc(docId) {
+        var entry = openPdfDocs[docId];
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(function() { closePdfDoc(docId); }, PDF_DOC_IDLE_MS);
+    }
+
+    function openPdfDoc(pdf) {
+        var docId = String(nextPdfDocId++);
+        openPdfDocs[docId] = { pdf: pdf, timer: null };
+        touchPdfDoc(docId);
+        return docId;
+    }
+
+    function closePdfDoc(docId) {
+        var entry = openPdfDocs[docId];
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        delete openPdfDocs[docId];
+        if (typeof entry.pdf.destroy === 'function') entry.pdf.destroy();
     }
 
     /* ==================== MESSAGE HANDLER ==================== */
 
+    /* ==================== CONTEXT MENU ==================== */
+
+    const PARSE_IMAGE_MENU_ID = 'parsePassportImage';
+
+    // Images in webmail, CRM and messenger pages, where the content script is not injected
+    function createContextMenu() {
+        if (!chrome.contextMenus) return;
+        loadStoredLang(function() {
+            chrome.contextMenus.removeAll(function() {
+                chrome.contextMenus.create({ id: PARSE_IMAGE_MENU_ID, title: t('parse_passport_image'), contexts: ['image'] });
+            });
+        });
+    }
+
+    if (chrome.contextMenus) {
+        chrome.contextMenus.onClicked.addListener(function(info, tab) {
+            if (info.menuItemId !== PARSE_IMAGE_MENU_ID || !info.srcUrl) return;
+            const query = new URLSearchParams({ src: info.srcUrl, tab: tab ? tab.id : '', frame: info.frameId || 0 });
+            chrome.tabs.create({ url: chrome.runtime.getURL('parse-image.html') + '?' + query.toString() });
+        });
+    }
+
+    chrome.storage.onChanged.addListener(function(changes, area) {
+        if (area === 'local' && changes.language) createContextMenu();
+    });
+
     chrome.runtime.onInstalled.addListener(function(details) {
         log('Extension installed: ' + details.reason);
         if (details.reason === 'install' || details.reason === 'update') checkForUpdates(false);
         setUpdateAlarm();
+        createContextMenu();
     });
 
     chrome.runtime.onStartup.addListener(function() {
@@ -605,6 +697,29 @@ if (typeof importScripts === 'function') {
             return false;
         }
 
+        if (message.action === 'loadDecoder') {
+            // HEIC/TIFF decoders are injected only into the frame that needs them
+            if (!sender.tab || !Array.isArray(message.files) || !message.files.length ||
+                !message.files.every(file => IMAGE_DECODER_FILES.includes(file))) {
+                sendResponse({ success: false });
+                return false;
+            }
+            var decoderResult = chrome.scripting.executeScript({
+                target: { tabId: sender.tab.id, frameIds: [sender.frameId || 0] },
+                files: message.files
+            }, function() {
+                if (chrome.runtime.lastError) log('Decoder inject error: ' + chrome.runtime.lastError.message);
+                sendResponse({ success: !chrome.runtime.lastError });
+            });
+            if (decoderResult && typeof decoderResult.then === 'function') {
+                decoderResult.then(function() { sendResponse({ success: true }); }, function(e) {
+                    log('Decoder inject error: ' + e.message);
+                    sendResponse({ success: false });
+                });
+            }
+            return true;
+        }
+
         if (message.action === 'parsePdf') {
             // Firefox: content scripts can't use ReadableStream (PDF.js needs it)
             // Parse PDF in background where there are no CSP restrictions
@@ -629,10 +744,11 @@ if (typeof importScripts === 'function') {
                 }
                 pdfjsLib.getDocument({ data: bytes, disableRange: true, disableStream: true, isEvalSupported: false }).promise
                     .then(function(pdf) {
-                        return extractPdfText(pdf).then(function(text) {
-                            sendResponse({ text: text });
-                        }).finally(function() {
-                            if (pdf && typeof pdf.destroy === 'function') pdf.destroy();
+                        return extractPdfPages(pdf).then(function(pages) {
+                            sendResponse({ text: pages.join('\n'), pages: pages, docId: openPdfDoc(pdf) });
+                        }, function(err) {
+                            if (typeof pdf.destroy === 'function') pdf.destroy();
+                            throw err;
                         });
                     })
                     .catch(function(err) {
@@ -644,6 +760,31 @@ if (typeof importScripts === 'function') {
             return true;
         }
 
+        // One page of a document opened by `parsePdf`, as a PNG data URL
+        if (message.action === 'renderPdfPage') {
+            const entry = openPdfDocs[message.docId];
+            if (!entry) {
+                sendResponse({ error: 'PDF document not open' });
+                return false;
+            }
+            touchPdfDoc(message.docId);
+            entry.pdf.getPage(message.page)
+                .then(renderPdfPage)
+                .then(function(image) { sendResponse({ image: image }); })
+                .catch(function(err) {
+                    log('PDF page ' + message.page + ' render failed: ' + err.message);
+                    sendResponse({ error: err.message });
+                });
+            return true;
+        }
+
+        // Sent by the content script once it renders no more pages of the document
+        if (message.action === 'closePdfDoc') {
+            closePdfDoc(message.docId);
+            sendResponse({ success: true });
+            return false;
+        }
+
         if (message.action === 'validateIIN') {
             const result = PassportParser.validateIINFull(message.iin);
             sendResponse(result);
@@ -756,16 +897,18 @@ if (typeof importScripts === 'function') {
         }
 
         if (message.action === 'exportCSV') {
-            chrome.storage.local.get(['fillHistory'], function(res) {
-                const history = res.fillHistory || [];
-                let csv = '\uFEFFDate,Site,Name,Passport,IIN,BirthDate,Success,Warnings\n';
-                history.forEach(function(h) {
-                    const date = new Date(h.timestamp).toLocaleString();
-                    const name = (h.name || '').replace(/,/g, ';');
-                    const warnings = (h.warnings || []).join('; ').replace(/,/g, ';');
-                    csv += [date, h.site || '', name, h.passport || '', h.iin || '', h.birthDate || '', h.success ? 'YES' : 'NO', warnings].join(',') + '\n';
+            loadStoredLang(function() {
+                chrome.storage.local.get(['fillHistory'], function(res) {
+                    const history = res.fillHistory || [];
+                    let csv = '\uFEFFDate,Site,Name,Passport,IIN,BirthDate,Success,Warnings\n';
+                    history.forEach(function(h) {
+                        const date = new Date(h.timestamp).toLocaleString();
+                        const name = (h.name || '').replace(/,/g, ';');
+                        const warnings = (h.warnings || []).map(formatIssue).join('; ').replace(/,/g, ';');
+                        csv += [date, h.site || '', name, h.passport || '', h.iin || '', h.birthDate || '', h.success ? 'YES' : 'NO', warnings].join(',') + '\n';
+                    });
+                    sendResponse({ csv: csv });
                 });
-                sendResponse({ csv: csv });
             });
             return true;
         }
@@ -1,16 +1,33 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 const SRC = __dirname;
 const DIST = path.join(__dirname, 'dist');
 
 const FILES = [
-    'background.js', 'content.js', 'passport-parser.js', 'i18n.js',
-    'popup.html', 'popup.js', 'style.css',
+    'background.js', 'content.js', 'passport-parser.js', 'i18n.js', 'country-rules.json', 'ocr-assets.js', 'image-preprocess.js', 'ocr-pipeline.js', 'image-formats.js', 'zip-reader.js',
+    'popup.html', 'popup.js', 'parse-image.html', 'parse-image.js', 'style.css',
     'lib/pdf.min.js', 'lib/pdf.worker.min.js', 'lib/utils.js', 'lib/tesseract.min.js',
+    'lib/tesseract/worker.min.js',
+    'lib/tesseract/core/tesseract-core-lstm.wasm.js', 'lib/tesseract/core/tesseract-core-simd-lstm.wasm.js',
+    'lib/tesseract/lang/eng.traineddata.gz', 'lib/tesseract/lang/kaz.traineddata.gz',
+    'lib/pako_inflate.min.js', 'lib/utif.js', 'lib/heic2any.min.js',
     'icons/icon.png', 'icons/icon16.png', 'icons/icon48.png'
 ];
 
+// Vendored OCR files and image decoders, pinned to the releases listed in BUILD.md (sha256)
+const PINNED = {
+    'lib/tesseract/worker.min.js': 'aca1229639fc9907d86f96e825955a2b7c5716d17f3bc3acd71f9c7ab66181fc',
+    'lib/tesseract/core/tesseract-core-lstm.wasm.js': '8f04aa0cc81e7bde33f80e92fa01a7a665f0b4884d098acf5de9c7104a11dfaa',
+    'lib/tesseract/core/tesseract-core-simd-lstm.wasm.js': 'ce20eda9533cbed1e6c2b4276fbae1e0adc61b6754b5513084be601787b457cf',
+    'lib/tesseract/lang/eng.traineddata.gz': '45b4cb346724ac1774f1c36f42f182b887bcdb28ebe63e6fff90ac41f3fcff91',
+    'lib/tesseract/lang/kaz.traineddata.gz': '3c93708c240722194d473931c097e09f02510fe8b7593fa0c33ceb90ee87095a',
+    'lib/pako_inflate.min.js': '2ca27e9a8dae569cdeac42752ed1aed1afeff7f19282d3cc12c0aaa54a08bc04',
+    'lib/utif.js': 'e3e76115f49571e39624c3316a76b3c4c5b2c5ca518dfec4b66a9f7af8c6d059',
+    'lib/heic2any.min.js': '0963cfa50e9e1e7e6af929a40a81e3e898a673f1270eafa6917dd137e4968164'
+};
+
 function copyFile(src, dest) {
     const dir = path.dirname(dest);
     if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
@@ -86,6 +103,19 @@ function buildFirefox() {
     console.log('Firefox build: ' + out);
 }
 
+function sha256(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+const badPinned = Object.keys(PINNED).filter(f => {
+    const src = path.join(SRC, f);
+    return !fs.existsSync(src) || sha256(src) !== PINNED[f];
+});
+if (badPinned.length) {
+    console.error('Error: vendored files missing or not the pinned version (see BUILD.md):\n  ' + badPinned.join('\n  '));
+    process.exit(1);
+}
+
 const target = process.argv[2];
 if (target === 'chrome') buildChrome();
 else if (target === 'firefox') buildFirefox();
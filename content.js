@@ -32,30 +32,54 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
             (navigator.userAgent && navigator.userAgent.toLowerCase().includes('firefox'));
     }
 
-    async function parsePdfInBackground(file) {
+    function sendPdfMessage(message) {
         return new Promise(function(resolve, reject) {
-            var reader = new FileReader();
-            reader.onload = function() {
-                chrome.runtime.sendMessage(
-                    { action: 'parsePdf', data: reader.result },
-                    function(response) {
-                        if (chrome.runtime.lastError) {
-                            reject(new Error(chrome.runtime.lastError.message));
-                            return;
-                        }
-                        if (response && typeof response.text === 'string') {
-                            resolve(response.text);
-                        } else {
-                            reject(new Error(response && response.error || 'Background parse failed'));
-                        }
-                    }
-                );
-            };
-            reader.onerror = function() { reject(reader.error); };
-            reader.readAsArrayBuffer(file);
+            chrome.runtime.sendMessage(message, function(response) {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                    return;
+                }
+                if (response && !response.error) resolve(response);
+                else reject(new Error(response && response.error || 'Background parse failed'));
+            });
         });
     }
 
+    // Background document ids of the files parsed there, for rendering their pages later
+    const backgroundPdfDocs = new WeakMap();
+
+    // Text of every page; the background keeps the document open for renderPdfPageInBackground
+    async function parsePdfInBackground(file) {
+        const response = await sendPdfMessage({ action: 'parsePdf', data: await readFileAsArrayBuffer(file) });
+        if (typeof response.text !== 'string') throw new Error('Background parse failed');
+        releasePdfInBackground(file);
+        backgroundPdfDocs.set(file, response.docId);
+        return { pages: Array.isArray(response.pages) ? response.pages : [response.text] };
+    }
+
+    // One page (1-based) as a PNG data URL. The background drops idle documents (and Firefox
+    // unloads idle background pages), so a document it no longer has is sent again.
+    async function renderPdfPageInBackground(file, pageNum) {
+        if (backgroundPdfDocs.has(file)) {
+            try {
+                return (await sendPdfMessage({ action: 'renderPdfPage', docId: backgroundPdfDocs.get(file), page: pageNum })).image;
+            } catch (err) {
+                backgroundPdfDocs.delete(file);
+            }
+        }
+        await parsePdfInBackground(file);
+        return (await sendPdfMessage({ action: 'renderPdfPage', docId: backgroundPdfDocs.get(file), page: pageNum })).image;
+    }
+
+    // Closes the file's background document once the import or the source viewer is done with it
+    function releasePdfInBackground(file) {
+        if (!backgroundPdfDocs.has(file)) return;
+        chrome.runtime.sendMessage({ action: 'closePdfDoc', docId: backgroundPdfDocs.get(file) }, function() {
+            void chrome.runtime.lastError;
+        });
+        backgroundPdfDocs.delete(file);
+    }
+
     let lastKnownPrice = 0;
     let previewModal = null;
     let formDetected = false;
@@ -92,7 +116,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
         if (captchaAttempts > 3) return;
 
         try {
-            const loaded = await loadOCREngine();
+            const loaded = await OcrPipeline.load();
             if (!loaded) return;
 
             const canvas = document.createElement('canvas');
@@ -110,13 +134,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
             canvas.height = img.naturalHeight;
             ctx.drawImage(img, 0, 0);
 
-            const worker = await Tesseract.createWorker('eng');
-            await worker.setParameters({
-                tessedit_char_whitelist: '0123456789',
-                tessedit_pageseg_mode: Tesseract.PSM.SINGLE_BLOCK
-            });
-            const { data: { text } } = await worker.recognize(canvas);
-            await worker.terminate();
+            const text = await OcrPipeline.recognize(canvas, 'captcha');
 
             const digits = text.replace(/\D/g, '').trim();
             if (digits.length > 0) {
@@ -570,6 +588,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
                     e.stopPropagation();
                 }, false);
             });
+            document.addEventListener('paste', handlePagePaste);
             globalDropListenersAttached = true;
         }
 
@@ -627,7 +646,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
     function createZoneForTouristDirect(touristDiv, index) {
         const div = document.createElement('div');
         div.className = 'fs-passport-dropzone';
-        div.innerHTML = '<span>Passport PDF / Photo</span><span class="fs-status-text">Drag &amp; drop or click</span>';
+        div.innerHTML = '<span>Passport PDF / Photo</span><span class="fs-status-text">Drag &amp; drop, click or Ctrl+V</span>';
 
         div.addEventListener('dragover', (e) => {
             e.preventDefault();
@@ -643,7 +662,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
             e.preventDefault();
             e.stopPropagation();
             div.classList.remove('dragover');
-            const files = Array.from(e.dataTransfer.files).filter(f => f.type === 'application/pdf' || f.type.startsWith('image/'));
+            const files = Array.from(e.dataTransfer.files).filter(f => ImageFormats.isAcceptedFile(f));
             if (files.length === 0) {
                 updateZoneStatus(div, 'Need PDF file!', 'red');
             } else if (files.length === 1) {
@@ -654,6 +673,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
         });
 
         div.addEventListener('click', () => openFileDialog(index, div));
+        attachPasteHandler(div, index);
 
         touristDiv.parentElement.insertBefore(div, touristDiv);
     }
@@ -661,7 +681,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
     function createZoneForTouristContainer(container, index) {
         const div = document.createElement('div');
         div.className = 'fs-passport-dropzone';
-        div.innerHTML = '<span>Passport PDF / Photo</span><span class="fs-status-text">Drag & drop or click</span>';
+        div.innerHTML = '<span>Passport PDF / Photo</span><span class="fs-status-text">Drag & drop, click or Ctrl+V</span>';
         div.style.marginBottom = '10px';
 
         div.addEventListener('dragover', (e) => {
@@ -678,7 +698,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
             e.preventDefault();
             e.stopPropagation();
             div.classList.remove('dragover');
-            const files = Array.from(e.dataTransfer.files).filter(f => f.type === 'application/pdf' || f.type.startsWith('image/'));
+            const files = Array.from(e.dataTransfer.files).filter(f => ImageFormats.isAcceptedFile(f));
             if (files.length === 0) {
                 updateZoneStatus(div, 'Need PDF file!', 'red');
             } else if (files.length === 1) {
@@ -689,6 +709,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
         });
 
         div.addEventListener('click', () => openFileDialog(index, div));
+        attachPasteHandler(div, index);
 
         container.insertBefore(div, container.firstChild);
     }
@@ -696,7 +717,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
     function createZoneForTourist(container, index) {
         const div = document.createElement('div');
         div.className = 'fs-passport-dropzone';
-        div.innerHTML = '<span>Passport PDF / Photo</span><span class="fs-status-text">Drag & drop or click</span>';
+        div.innerHTML = '<span>Passport PDF / Photo</span><span class="fs-status-text">Drag & drop, click or Ctrl+V</span>';
 
         div.addEventListener('dragover', (e) => {
             e.preventDefault();
@@ -712,7 +733,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
             e.preventDefault();
             e.stopPropagation();
             div.classList.remove('dragover');
-            const files = Array.from(e.dataTransfer.files).filter(f => f.type === 'application/pdf' || f.type.startsWith('image/'));
+            const files = Array.from(e.dataTransfer.files).filter(f => ImageFormats.isAcceptedFile(f));
             if (files.length === 0) {
                 updateZoneStatus(div, 'Need PDF file!', 'red');
             } else if (files.length === 1) {
@@ -723,17 +744,78 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
         });
 
         div.addEventListener('click', () => openFileDialog(index, div));
+        attachPasteHandler(div, index);
 
         container.appendChild(div);
     }
 
+    // Passport files on the clipboard: screenshots copied from WhatsApp Web or Telegram Desktop
+    function getClipboardFiles(e) {
+        const items = Array.from((e.clipboardData && e.clipboardData.items) || []);
+        return items
+            .filter(item => item.kind === 'file' && (item.type === 'application/pdf' || item.type.startsWith('image/')))
+            .map(item => item.getAsFile())
+            .filter(Boolean);
+    }
+
+    async function handlePastedFiles(files, index, zoneElement) {
+        if (files.length === 1) {
+            await handlePdf(files[0], index, zoneElement);
+        } else {
+            await handleMultiplePdfs(files, zoneElement);
+        }
+    }
+
+    // Ctrl+V on a focused drop zone. Clipboard text is left alone.
+    function attachPasteHandler(div, index) {
+        div.tabIndex = 0;
+        div.addEventListener('paste', async (e) => {
+            const files = getClipboardFiles(e);
+            if (!files.length) return;
+            e.preventDefault();
+            e.stopPropagation();
+            await handlePastedFiles(files, index, div);
+        });
+    }
+
+    // The tourist block holding an element: the tourist div itself or its fieldset
+    function findTouristForElement(el) {
+        if (!el || !el.closest) return null;
+        let tourist = el.closest('div.tourist');
+        if (!tourist) {
+            const fieldset = el.closest('fieldset');
+            tourist = fieldset ? Utils.$('div.tourist', fieldset) : null;
+        }
+        if (!tourist || !tourist.dataset.peopleinc) return null;
+        const zone = Utils.$('.fs-passport-dropzone', tourist.parentElement) ||
+                     Utils.$('.fs-passport-dropzone', tourist.closest('fieldset'));
+        return zone ? { index: tourist.dataset.peopleinc, zone: zone } : null;
+    }
+
+    function isEditable(el) {
+        return !!el && (el.isContentEditable || /^(INPUT|TEXTAREA)$/.test(el.tagName));
+    }
+
+    // Page-level Ctrl+V while a field of a tourist block has focus. Text pasted into an
+    // editable field is left to the field, even when the clipboard also holds an image.
+    async function handlePagePaste(e) {
+        if (e.defaultPrevented) return;
+        const target = findTouristForElement(document.activeElement);
+        if (!target) return;
+        if (isEditable(document.activeElement) && e.clipboardData && Array.from(e.clipboardData.types || []).includes('text/plain')) return;
+        const files = getClipboardFiles(e);
+        if (!files.length) return;
+        e.preventDefault();
+        await handlePastedFiles(files, target.index, target.zone);
+    }
+
     function openFileDialog(index, zoneElement) {
         const input = document.createElement('input');
         input.type = 'file';
-        input.accept = '.pdf,image/*';
+        input.accept = '.pdf,image/*,.heic,.heif,.tif,.tiff,.zip';
         input.multiple = true;
         input.addEventListener('change', async () => {
-            const files = Array.from(input.files).filter(f => f.type === 'application/pdf' || f.type.startsWith('image/'));
+            const files = Array.from(input.files).filter(f => ImageFormats.isAcceptedFile(f));
             if (files.length === 1) {
                 await handlePdf(files[0], index, zoneElement);
             } else if (files.length > 1) {
@@ -743,6 +825,20 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
         input.click();
     }
 
+    // Promise.all(items.map(fn)) with at most `limit` calls running at once
+    async function mapWithLimit(items, limit, fn) {
+        const results = new Array(items.length);
+        let next = 0;
+        async function run() {
+            while (next < items.length) {
+                const i = next++;
+                results[i] = await fn(items[i], i);
+            }
+        }
+        await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+        return results;
+    }
+
     async function handleMultiplePdfs(files, triggerZone) {
         const touristDivs = Utils.$$('div.tourist');
         const available = Array.from(touristDivs).filter(d => d.dataset.peopleinc);
@@ -752,69 +848,148 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
             return;
         }
 
-        const parsedResults = [];
-        for (let i = 0; i < files.length; i++) {
-            updateZoneStatus(triggerZone, 'Processing ' + (i + 1) + '/' + files.length + '...', 'blue');
+        const unpacked = await unpackArchives(files);
+        const entries = unpacked.entries;
+        const skipped = unpacked.skipped;
+
+        // Files are read POOL_SIZE at a time, so no more PDFs and decoded images are held
+        // than the OCR pool can work on. A PDF may hold several passports, each becomes its
+        // own row. Archive entries without a passport (receipts, tickets) are skipped.
+        let done = 0;
+        updateZoneStatus(triggerZone, 'Processing 0/' + entries.length + '...', 'blue');
+        const fileResults = await mapWithLimit(entries, OcrPipeline.POOL_SIZE, async (entry, i) => {
+            const file = entry.file;
+            let results;
             try {
-                let fullText = '';
-                if (files[i].type.startsWith('image/')) {
-                    const ocrText = await ocrFromImage(files[i]);
-                    fullText = ocrText || '';
-                } else if (isFirefox()) {
-                    fullText = await parsePdfInBackground(files[i]);
+                const read = await readFileDocuments(file);
+                if (entry.archive && !read.documents.length) {
+                    skipped.push({ name: entry.archive + '/' + file.name, reason: 'no passport found' });
+                    results = [];
                 } else {
-                    const arrayBuffer = await readFileAsArrayBuffer(files[i]);
-                    const copy = new Uint8Array(arrayBuffer);
-                    ensurePdfWorker();
-                    const pdf = await pdfjsLib.getDocument({ data: copy, disableRange: true, disableStream: true, isEvalSupported: false }).promise;
-                    try {
-                        const page = await pdf.getPage(1);
-                        const textContent = await page.getTextContent();
-                        fullText = textContent.items.map(item => item.str).join('\n');
-                    } finally {
-                        if (pdf && typeof pdf.cleanup === 'function') await pdf.cleanup();
-                        if (pdf && typeof pdf.destroy === 'function') await pdf.destroy();
-                    }
+                    results = read.documents.length
+                        ? read.documents.map(doc => ({ parsed: parsePdfDocument(doc, read.ocrUsed), file: file }))
+                        : [{ parsed: PassportParser.parse(read.pages.join('\n')), file: file }];
                 }
-                const parsed = PassportParser.parse(fullText);
-                parsedResults.push({ parsed, file: files[i] });
             } catch (err) {
                 console.error('[PassportAutoFill] PDF parse error #' + (i+1) + ':', err);
-                parsedResults.push({ parsed: { surname: 'ERROR', name: '', number: '', isValid: false }, file: files[i] });
+                if (entry.archive) {
+                    skipped.push({ name: entry.archive + '/' + file.name, reason: getFileErrorStatus(err, file) });
+                    results = [];
+                } else {
+                    results = [{ parsed: { surname: 'ERROR', name: '', number: '', isValid: false }, file: file }];
+                }
+            } finally {
+                // The group fill modal shows no source pages
+                releasePdfInBackground(file);
             }
-        }
+            done++;
+            updateZoneStatus(triggerZone, 'Processing ' + done + '/' + entries.length + '...', 'blue');
+            return results;
+        });
+        const parsedResults = [].concat.apply([], fileResults);
 
-        if (parsedResults.length === 1) {
-            await handlePdf(files[0], available[0].dataset.peopleinc, triggerZone);
+        if (parsedResults.length === 1 && entries.length === 1 && !entries[0].archive) {
+            await handlePdf(entries[0].file, available[0].dataset.peopleinc, triggerZone);
+            return;
+        }
+        if (!parsedResults.length) {
+            updateZoneStatus(triggerZone, skipped.length ? 'No passports found (' + skipped.length + ' skipped)' : 'No files to read', 'red');
             return;
         }
 
-        showGroupFillModal(parsedResults, available, triggerZone);
+        showGroupFillModal(parsedResults, available, triggerZone, skipped);
+    }
+
+    // Hidden entries added by archivers (macOS resource forks, desktop.ini, dotfiles)
+    function isHiddenZipEntry(name) {
+        return /^__MACOSX\//.test(name) || /(^|\/)\.[^/]*$/.test(name) || /(^|\/)(thumbs\.db|desktop\.ini)$/i.test(name);
+    }
+
+    // Folder wrapping every entry, as left by "compress folder": "Passports/" or ''
+    function getZipRootFolder(names) {
+        const first = names.length && names[0].includes('/') ? names[0].split('/')[0] + '/' : '';
+        return first && names.every(name => name.startsWith(first)) ? first : '';
     }
 
-    function showGroupFillModal(results, available, triggerZone) {
+    // ZIP archives are unpacked in memory. Files in the archive root (or in its single
+    // wrapping folder) are read; deeper folders, non-PDF/image files and unreadable entries
+    // are listed in `skipped` with a reason. Loose files pass through unchanged.
+    async function unpackArchives(files) {
+        const entries = [];
+        const skipped = [];
+        for (const file of files) {
+            let format = null;
+            try { format = await readFileFormat(file); } catch (e) { /* read errors surface later */ }
+            if (format !== 'zip') {
+                entries.push({ file: file, archive: null });
+                continue;
+            }
+
+            let buffer;
+            let list;
+            try {
+                buffer = await readFileAsArrayBuffer(file);
+                list = ZipReader.listEntries(buffer).filter(entry => !entry.directory && !isHiddenZipEntry(entry.name));
+            } catch (err) {
+                console.error('[PassportAutoFill] ZIP error:', err);
+                skipped.push({ name: file.name, reason: err.message });
+                continue;
+            }
+
+            const root = getZipRootFolder(list.map(entry => entry.name));
+            for (const entry of list) {
+                const name = file.name + '/' + entry.name;
+                const relative = entry.name.slice(root.length);
+                if (relative.includes('/')) {
+                    skipped.push({ name: name, reason: 'nested folder' });
+                    continue;
+                }
+                let data;
+                try {
+                    data = await ZipReader.readEntry(buffer, entry);
+                } catch (err) {
+                    skipped.push({ name: name, reason: err.message });
+                    continue;
+                }
+                const entryFormat = ImageFormats.detect(data.subarray(0, ImageFormats.HEADER_LENGTH));
+                if (!entryFormat || entryFormat === 'zip') {
+                    skipped.push({ name: name, reason: 'not a PDF or image' });
+                    continue;
+                }
+                entries.push({ file: new File([data], relative, { type: ImageFormats.FORMATS[entryFormat].mime }), archive: file.name });
+            }
+        }
+        return { entries: entries, skipped: skipped };
+    }
+
+    function showGroupFillModal(results, available, triggerZone, skipped) {
         if (previewModal) previewModal.remove();
 
         const modal = document.createElement('div');
         modal.id = 'fs-preview-modal';
 
+        const trip = getTripInfo();
         let rowsHtml = '';
         for (let i = 0; i < Math.max(results.length, available.length); i++) {
             const r = results[i];
             const tourist = available[i];
             const touristNum = tourist ? tourist.dataset.peopleinc : '-';
             const name = r ? (r.parsed.surname + ' ' + r.parsed.name).trim() : '-';
+            const pages = r && r.parsed.sourcePages ? ' (p. ' + r.parsed.sourcePages.join(', ') + ')' : '';
             const passport = r ? (r.parsed.number || '-') : '-';
             const iin = r ? (r.parsed.iin || '-') : '-';
             const validDate = r ? (r.parsed.validDate || '-') : '-';
             const status = r ? (r.parsed.isValid ? 'OK' : 'CHECK') : '-';
+            const visa = r ? checkVisaRequirement(r.parsed, trip) : null;
+            const visaHtml = visa && visa.needsAction ? '<div class="fs-group-visa">' + Utils.escapeHtml(formatIssue(visa)) + '</div>' : '';
 
             rowsHtml += `
                 <div class="fs-group-row" style="display:flex;gap:8px;align-items:center;padding:8px;border-bottom:1px solid #e0e5ec;">
                     <div style="width:30px;font-weight:700;color:#366383;">${i + 1}</div>
                     <div style="flex:1;">
-                        <div style="font-weight:600;font-size:13px;">${Utils.escapeHtml(name)}</div>
+                        <div style="font-weight:600;font-size:13px;">${Utils.escapeHtml(name)}<span style="font-weight:400;font-size:10px;color:#888;">${Utils.escapeHtml(pages)}</span></div>
                         <div style="font-size:10px;color:#888;">${Utils.escapeHtml(passport)} | IIN: ${Utils.escapeHtml(iin)} | Valid: ${Utils.escapeHtml(validDate)}</div>
+                        ${visaHtml}
                     </div>
                     <div style="font-size:10px;font-weight:600;color:${status === 'OK' ? '#4caf50' : '#ff9800'};">${status}</div>
                     <div style="font-size:10px;color:#366383;font-weight:600;">→ Tourist ${Utils.escapeHtml(touristNum)}</div>
@@ -823,15 +998,20 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
         }
 
         const skipCount = results.length > available.length ? (results.length - available.length) : 0;
+        const skippedHtml = skipped && skipped.length
+            ? '<div class="fs-ocr-warning fs-group-skipped" style="margin-bottom:12px;"><div class="fs-ocr-warning-icon">!</div><div><strong>Skipped ' + skipped.length + ' file(s)</strong><br>' +
+                skipped.map(item => Utils.escapeHtml(item.name) + ' — ' + Utils.escapeHtml(item.reason)).join('<br>') + '</div></div>'
+            : '';
 
         modal.innerHTML = `
             <div class="fs-modal-content">
                 <div class="fs-modal-header">
-                    <h3>Group Fill — ${results.length} PDFs → ${available.length} tourists</h3>
+                    <h3>Group Fill — ${results.length} passports → ${available.length} tourists</h3>
                     <button class="fs-modal-close">&times;</button>
                 </div>
                 <div class="fs-modal-body">
-                    ${skipCount > 0 ? '<div class="fs-ocr-warning" style="margin-bottom:12px;"><div class="fs-ocr-warning-icon">!</div><div><strong>Warning</strong><br>' + skipCount + ' PDFs will be skipped (not enough tourists)</div></div>' : ''}
+                    ${skipCount > 0 ? '<div class="fs-ocr-warning" style="margin-bottom:12px;"><div class="fs-ocr-warning-icon">!</div><div><strong>Warning</strong><br>' + skipCount + ' passports will be skipped (not enough tourists)</div></div>' : ''}
+                    ${skippedHtml}
                     ${rowsHtml}
                 </div>
                 <div class="fs-modal-footer">
@@ -935,59 +1115,64 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
 
     /* ==================== OCR ==================== */
 
-    async function loadOCREngine() {
-        if (typeof Tesseract !== 'undefined' && Tesseract.createWorker) return true;
-        if (typeof self !== 'undefined' && self.Tesseract && self.Tesseract.createWorker) return true;
-        if (typeof window !== 'undefined' && window.Tesseract && window.Tesseract.createWorker) return true;
-        return false;
-    }
-
-    async function ocrRecognize(imageOrCanvas) {
-        const loaded = await loadOCREngine();
-        if (!loaded) throw new Error('OCR engine not available');
-
-        const worker = await Tesseract.createWorker('eng');
-        await worker.setParameters({
-            tessedit_pageseg_mode: Tesseract.PSM.SINGLE_BLOCK
-        });
-        const { data: { text } } = await worker.recognize(imageOrCanvas);
-        await worker.terminate();
-        return text;
-    }
-
-    async function ocrFromPdf(pdf) {
-        const page = await pdf.getPage(1);
+    async function renderPdfPage(pdf, pageNum) {
+        const page = await pdf.getPage(pageNum || 1);
         const viewport = page.getViewport({ scale: 2.0 });
         const canvas = document.createElement('canvas');
         canvas.width = viewport.width;
         canvas.height = viewport.height;
         const ctx = canvas.getContext('2d');
         await page.render({ canvasContext: ctx, viewport: viewport }).promise;
-        const text = await ocrRecognize(canvas);
-        return text;
+        return canvas;
     }
 
-    function readFileAsDataURL(file) {
-        return new Promise(function(resolve, reject) {
-            var reader = new FileReader();
-            reader.onload = function() { resolve(reader.result); };
-            reader.onerror = function() { reject(reader.error); };
-            reader.readAsDataURL(file);
-        });
+    async function ocrFromPdf(pdf, pageNum) {
+        const text = await OcrPipeline.readPassportPage(await preprocessForOcr(await renderPdfPage(pdf, pageNum), true));
+        return text;
     }
 
-    async function ocrFromImage(file) {
-        const dataUrl = await readFileAsDataURL(file);
+    function loadDataURLImage(dataUrl) {
         const img = new Image();
         img.src = dataUrl;
-        await new Promise(function(resolve, reject) {
-            img.onload = resolve;
+        return new Promise(function(resolve, reject) {
+            img.onload = () => resolve(img);
             img.onerror = reject;
         });
-        const text = await ocrRecognize(img);
+    }
+
+    // PDF pages rendered by the Firefox background
+    async function ocrFromDataURL(dataUrl) {
+        const text = await OcrPipeline.readPassportPage(await preprocessForOcr(await loadDataURLImage(dataUrl), true));
         return text;
     }
 
+    // "OCR debug" shows each preprocessing step
+    async function preprocessForOcr(image, upright) {
+        const settings = await new Promise(resolve => chrome.storage.local.get(['ocrDebug'], resolve));
+        const result = await OcrPipeline.preprocess(image, { upright: upright, debug: !!settings.ocrDebug });
+        if (result.steps.length) showOcrDebugView(result.steps);
+        return result.canvas;
+    }
+
+    function showOcrDebugView(steps) {
+        const existing = Utils.$('#fs-ocr-debug');
+        if (existing) existing.remove();
+
+        const panel = document.createElement('div');
+        panel.id = 'fs-ocr-debug';
+        panel.innerHTML = '<div class="fs-ocr-debug-header"><strong>OCR preprocessing</strong><button class="fs-ocr-debug-close">&times;</button></div>' +
+            '<div class="fs-ocr-debug-steps">' + steps.map(function(step, i) {
+                return '<figure><img data-step="' + i + '" alt=""><figcaption>' + (i + 1) + '. ' + Utils.escapeHtml(step.name) +
+                    (step.detail ? ' <span>' + Utils.escapeHtml(step.detail) + '</span>' : '') + '</figcaption></figure>';
+            }).join('') + '</div>';
+        // Canvases are turned into images only here, so the normal path pays nothing for debugging
+        Utils.$$('img[data-step]', panel).forEach(function(img) {
+            img.src = steps[img.getAttribute('data-step')].canvas.toDataURL('image/jpeg', 0.7);
+        });
+        Utils.$('.fs-ocr-debug-close', panel).addEventListener('click', () => panel.remove());
+        document.body.appendChild(panel);
+    }
+
     /* ==================== FILE HANDLING (PDF + Image) ==================== */
 
     function readFileAsArrayBuffer(file) {
@@ -999,107 +1184,391 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
         });
     }
 
+    // Minimum text-layer length for a PDF page to be taken without OCR
+    const PDF_MIN_PAGE_TEXT = 20;
+
+    // Text of every PDF page, split into documents by PassportParser.groupDocumentPages.
+    // Pages without a text layer are OCR'd: Chrome renders them here, Firefox gets the text
+    // layer from the background and asks it for those pages one at a time.
+    async function readPdfDocuments(file, onStatus) {
+        const status = onStatus || function() {};
+        let pages = [];
+        let ocrUsed = false;
+
+        async function ocrPage(pageNum, count, recognize) {
+            status('OCR page ' + pageNum + '/' + count + '...');
+            try {
+                const text = await recognize();
+                ocrUsed = true;
+                return text || '';
+            } catch (err) {
+                console.error('[PassportAutoFill] OCR error on page ' + pageNum + ':', err);
+                return '';
+            }
+        }
+
+        if (isFirefox()) {
+            status('Parsing PDF (bg)...');
+            pages = (await parsePdfInBackground(file)).pages.slice();
+            for (let i = 0; i < pages.length; i++) {
+                if (pages[i].trim().length < PDF_MIN_PAGE_TEXT) {
+                    pages[i] = await ocrPage(i + 1, pages.length, async () => ocrFromDataURL(await renderPdfPageInBackground(file, i + 1)));
+                }
+            }
+        } else {
+            const copy = new Uint8Array(await readFileAsArrayBuffer(file));
+            ensurePdfWorker();
+            const pdf = await pdfjsLib.getDocument({ data: copy, disableRange: true, disableStream: true, isEvalSupported: false }).promise;
+            try {
+                for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+                    const page = await pdf.getPage(pageNum);
+                    const textContent = await page.getTextContent();
+                    let text = textContent.items.map(item => item.str).join('\n');
+                    if (text.trim().length < PDF_MIN_PAGE_TEXT) {
+                        text = await ocrPage(pageNum, pdf.numPages, () => ocrFromPdf(pdf, pageNum));
+                    }
+                    pages.push(text);
+                }
+            } finally {
+                if (pdf && typeof pdf.cleanup === 'function') await pdf.cleanup();
+                if (pdf && typeof pdf.destroy === 'function') await pdf.destroy();
+            }
+        }
+
+        return { pages: pages, documents: PassportParser.groupDocumentPages(pages), ocrUsed: ocrUsed };
+    }
+
+    // Photos and scans: every page of a multi-page TIFF is OCR'd like a PDF page
+    async function readImageDocuments(file, format, onStatus) {
+        const status = onStatus || function() {};
+        const images = await ImageFormats.decode(await readFileAsArrayBuffer(file), format);
+        const pages = [];
+        for (let i = 0; i < images.length; i++) {
+            status(images.length > 1 ? 'OCR page ' + (i + 1) + '/' + images.length + '...' : 'Scanning photo...');
+            pages.push(await OcrPipeline.readPassportPage(await preprocessForOcr(images[i])) || '');
+        }
+        return { pages: pages, documents: PassportParser.groupDocumentPages(pages), ocrUsed: true };
+    }
+
+    // Dispatches on the file's magic bytes, not its MIME type (HEIC and TIFF often have none)
+    async function readFileFormat(file) {
+        const header = new Uint8Array(await readFileAsArrayBuffer(file.slice(0, ImageFormats.HEADER_LENGTH)));
+        return ImageFormats.detect(header);
+    }
+
+    async function readFileDocuments(file, onStatus) {
+        const format = await readFileFormat(file);
+        if (!format) throw ImageFormats.formatError(ImageFormats.ERRORS.UNSUPPORTED, null);
+        const read = format === 'pdf' ? await readPdfDocuments(file, onStatus) : await readImageDocuments(file, format, onStatus);
+        read.format = format;
+        return read;
+    }
+
+    function getFileErrorStatus(err, file) {
+        if (err && Object.values(ImageFormats.ERRORS).includes(err.code)) return ImageFormats.describeError(err);
+        return file.type === 'application/pdf' ? 'PDF Error' : 'Photo error';
+    }
+
+    function parsePdfDocument(doc, ocrUsed) {
+        const parsed = PassportParser.parse(doc.text);
+        parsed.sourcePages = doc.pages;
+        parsed.ocrUsed = ocrUsed;
+        return parsed;
+    }
+
+    /* ==================== SOURCE VIEWER ==================== */
+
+    // Pages rendered for the source viewer. With no document recognised every page of the
+    // file is a candidate, and each one is a scale-2 canvas held while the preview is open.
+    const VIEWER_MAX_PAGES = 4;
+
+    // Pages (1-based) of the file behind a preview, rendered again on demand so parsing
+    // keeps no images in memory
+    async function loadSourcePages(file, pageNumbers) {
+        pageNumbers = pageNumbers.slice(0, VIEWER_MAX_PAGES);
+        const format = await readFileFormat(file);
+        if (format === 'pdf' && isFirefox()) {
+            try {
+                const pages = [];
+                for (const pageNum of pageNumbers) pages.push(await loadDataURLImage(await renderPdfPageInBackground(file, pageNum)));
+                return pages;
+            } finally {
+                releasePdfInBackground(file);
+            }
+        }
+        if (format === 'pdf') {
+            const copy = new Uint8Array(await readFileAsArrayBuffer(file));
+            ensurePdfWorker();
+            const pdf = await pdfjsLib.getDocument({ data: copy, disableRange: true, disableStream: true, isEvalSupported: false }).promise;
+            try {
+                const pages = [];
+                for (const pageNum of pageNumbers) pages.push(await renderPdfPage(pdf, pageNum));
+                return pages;
+            } finally {
+                if (typeof pdf.cleanup === 'function') await pdf.cleanup();
+                if (typeof pdf.destroy === 'function') await pdf.destroy();
+            }
+        }
+        const images = await ImageFormats.decode(await readFileAsArrayBuffer(file), format);
+        return pageNumbers.map(n => images[n - 1]).filter(Boolean);
+    }
+
+    const VIEWER_ZOOM_STEP = 1.25;
+    const VIEWER_MAX_ZOOM = 4;
+    // Smaller selections (in page pixels) are taken as stray clicks
+    const VIEWER_MIN_CROP = 10;
+
+    // Preview inputs a cropped region can be read into
+    const VIEWER_FIELDS = [
+        { field: 'surname', input: 'preview-surname', label: 'Surname' },
+        { field: 'name', input: 'preview-name', label: 'Name' },
+        { field: 'number', input: 'preview-number', label: 'Passport' },
+        { field: 'iin', input: 'preview-iin', label: 'IIN' },
+        { field: 'birthDate', input: 'preview-birth', label: 'Birth Date' },
+        { field: 'validDate', input: 'preview-valid', label: 'Valid Until' },
+        { field: 'gender', input: 'preview-gender', label: 'Gender' }
+    ];
+
+    function getSourceViewerHtml() {
+        return `<div class="fs-source-viewer">
+                        <div class="fs-viewer-toolbar">
+                            <button type="button" data-viewer="prev" title="Previous page">&lsaquo;</button>
+                            <span class="fs-viewer-page"></span>
+                            <button type="button" data-viewer="next" title="Next page">&rsaquo;</button>
+                            <button type="button" data-viewer="zoomOut" title="Zoom out">&minus;</button>
+                            <button type="button" data-viewer="zoomIn" title="Zoom in">+</button>
+                            <button type="button" data-viewer="rotateLeft" title="Rotate left">&#10226;</button>
+                            <button type="button" data-viewer="rotateRight" title="Rotate right">&#10227;</button>
+                            <button type="button" data-viewer="crop" title="Select a region to read again">Crop</button>
+                        </div>
+                        <div class="fs-viewer-stage"><canvas></canvas></div>
+                        <div class="fs-viewer-ocr">
+                            <select class="fs-viewer-field">${VIEWER_FIELDS.map(f => '<option value="' + f.field + '">' + f.label + '</option>').join('')}</select>
+                            <button type="button" data-viewer="ocr" disabled>Re-OCR selection</button>
+                        </div>
+                        <div class="fs-viewer-status">Loading image...</div>
+                    </div>`;
+    }
+
+    // Zoom only scales the canvas on screen. Rotation redraws the page into `view`, so the
+    // selection is kept in that copy's pixels and is exactly what gets OCR'd.
+    function attachSourceViewer(modal, file, pageNumbers, data) {
+        const viewer = Utils.$('.fs-source-viewer', modal);
+        const stage = Utils.$('.fs-viewer-stage', viewer);
+        const canvas = Utils.$('canvas', stage);
+        const status = Utils.$('.fs-viewer-status', viewer);
+        const fieldSelect = Utils.$('.fs-viewer-field', viewer);
+        const button = name => Utils.$('[data-viewer="' + name + '"]', viewer);
+        const state = { pages: [], index: 0, rotation: 0, zoom: 1, view: null, cropping: false, selection: null, drag: null, busy: false };
+
+        function updateButtons() {
+            button('prev').disabled = state.index === 0;
+            button('next').disabled = state.index >= state.pages.length - 1;
+            button('zoomOut').disabled = state.zoom <= 1;
+            button('zoomIn').disabled = state.zoom >= VIEWER_MAX_ZOOM;
+            button('crop').classList.toggle('active', state.cropping);
+            button('ocr').disabled = !state.selection || state.busy;
+            stage.classList.toggle('cropping', state.cropping);
+        }
+
+        function draw() {
+            if (!state.view) return;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(state.view, 0, 0);
+            const sel = state.selection;
+            if (!sel) return;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(state.view, sel.x, sel.y, sel.width, sel.height, sel.x, sel.y, sel.width, sel.height);
+            ctx.strokeStyle = '#667eea';
+            ctx.lineWidth = Math.max(2, canvas.width / canvas.getBoundingClientRect().width * 2);
+            ctx.strokeRect(sel.x, sel.y, sel.width, sel.height);
+        }
+
+        function showPage() {
+            state.view = ImagePreprocess.rotate(state.pages[state.index], state.rotation);
+            state.selection = null;
+            canvas.width = state.view.width;
+            canvas.height = state.view.height;
+            canvas.style.width = (state.zoom * 100) + '%';
+            Utils.$('.fs-viewer-page', viewer).textContent = (state.index + 1) + '/' + state.pages.length;
+            updateButtons();
+            draw();
+        }
+
+        function toPagePoint(e) {
+            const rect = canvas.getBoundingClientRect();
+            return {
+                x: Math.round(Math.max(0, Math.min(canvas.width, (e.clientX - rect.left) * canvas.width / rect.width))),
+                y: Math.round(Math.max(0, Math.min(canvas.height, (e.clientY - rect.top) * canvas.height / rect.height)))
+            };
+        }
+
+        async function recognizeSelection() {
+            const sel = state.selection;
+            const target = VIEWER_FIELDS.find(f => f.field === fieldSelect.value);
+            if (!sel || !target) return;
+            state.busy = true;
+            updateButtons();
+            status.textContent = 'Reading ' + target.label + '...';
+            try {
+                const text = await OcrPipeline.recognize(ImagePreprocess.crop(state.view, sel.x, sel.y, sel.width, sel.height));
+                const value = PassportParser.readField(target.field, text, data.issuingState);
+                if (!value) {
+                    status.textContent = 'No ' + target.label + ' found in the selection';
+                    return;
+                }
+                const input = Utils.$('#' + target.input, modal);
+                input.value = value;
+                input.dispatchEvent(new Event('input', { bubbles: true }));
+                status.textContent = target.label + ' updated from the selection';
+            } catch (err) {
+                console.error('[PassportAutoFill] Re-OCR error:', err);
+                status.textContent = 'OCR failed: ' + err.message;
+            } finally {
+                state.busy = false;
+                updateButtons();
+            }
+        }
+
+        const actions = {
+            prev: () => { state.index--; showPage(); },
+            next: () => { state.index++; showPage(); },
+            zoomIn: () => { state.zoom = Math.min(VIEWER_MAX_ZOOM, state.zoom * VIEWER_ZOOM_STEP); canvas.style.width = (state.zoom * 100) + '%'; updateButtons(); },
+            zoomOut: () => { state.zoom = Math.max(1, state.zoom / VIEWER_ZOOM_STEP); canvas.style.width = (state.zoom * 100) + '%'; updateButtons(); },
+            rotateLeft: () => { state.rotation = (state.rotation + 270) % 360; showPage(); },
+            rotateRight: () => { state.rotation = (state.rotation + 90) % 360; showPage(); },
+            crop: () => { state.cropping = !state.cropping; updateButtons(); },
+            ocr: recognizeSelection
+        };
+        viewer.addEventListener('click', function(e) {
+            const target = e.target.closest('[data-viewer]');
+            if (target && !target.disabled && state.view) actions[target.dataset.viewer]();
+        });
+
+        canvas.addEventListener('mousedown', function(e) {
+            if (!state.cropping || !state.view) return;
+            e.preventDefault();
+            state.drag = toPagePoint(e);
+            state.selection = null;
+            draw();
+        });
+        modal.addEventListener('mousemove', function(e) {
+            if (!state.drag) return;
+            const point = toPagePoint(e);
+            state.selection = {
+                x: Math.min(state.drag.x, point.x),
+                y: Math.min(state.drag.y, point.y),
+                width: Math.abs(point.x - state.drag.x),
+                height: Math.abs(point.y - state.drag.y)
+            };
+            draw();
+        });
+        modal.addEventListener('mouseup', function() {
+            if (!state.drag) return;
+            state.drag = null;
+            const sel = state.selection;
+            if (sel && (sel.width < VIEWER_MIN_CROP || sel.height < VIEWER_MIN_CROP)) state.selection = null;
+            draw();
+            updateButtons();
+            // The click that ends a drag released over the backdrop must not close the modal
+            modal.addEventListener('click', e => { if (e.target === modal) e.stopImmediatePropagation(); }, { capture: true, once: true });
+        });
+
+        updateButtons();
+        loadSourcePages(file, pageNumbers).then(function(pages) {
+            if (!pages.length) {
+                status.textContent = 'Image not available';
+                return;
+            }
+            state.pages = pages;
+            status.textContent = '';
+            showPage();
+        }).catch(function(err) {
+            console.error('[PassportAutoFill] Source viewer error:', err);
+            status.textContent = 'Image not available';
+        });
+    }
+
+    // Every one of these must reach the threshold before a result is filled without preview
+    const AUTO_FILL_FIELDS = ['surname', 'name', 'number', 'birthDate', 'validDate', 'gender'];
+    const DEFAULT_AUTO_FILL_THRESHOLD = 80;
+
+    function canAutoFill(data, settings) {
+        if (!settings.autoFill || !data.isValid) return false;
+        const percent = typeof settings.autoFillThreshold === 'number' ? settings.autoFillThreshold : DEFAULT_AUTO_FILL_THRESHOLD;
+        const fields = data.fields || {};
+        return AUTO_FILL_FIELDS.every(function(field) {
+            return fields[field] && fields[field].value && fields[field].confidence * 100 >= percent;
+        });
+    }
+
     async function handlePdf(file, touristIndex, zoneElement) {
         updateZoneStatus(zoneElement, 'Processing...', 'blue');
 
         try {
-            // Image file — OCR directly
-            if (file.type.startsWith('image/')) {
-                updateZoneStatus(zoneElement, 'Scanning photo...', 'orange');
-                const ocrText = await ocrFromImage(file);
-                if (ocrText && ocrText.trim().length > 20) {
-                    const parsedData = PassportParser.parse(ocrText);
-                    parsedData.ocrUsed = true;
-                    chrome.storage.local.get(['defaultEmail', 'defaultPhone', 'autoFill'], (defaults) => {
-                        parsedData.email = defaults.defaultEmail || '';
-                        parsedData.phone = defaults.defaultPhone || '';
-                        if (defaults.autoFill && parsedData.isValid) {
-                            fillFormSequentially(parsedData, touristIndex, zoneElement);
-                        } else {
-                            showPreviewModal(parsedData, touristIndex, zoneElement);
-                        }
-                    });
-                } else {
-                    updateZoneStatus(zoneElement, 'Photo OCR failed', 'red');
-                }
+            if (await readFileFormat(file) === 'zip') {
+                await handleMultiplePdfs([file], zoneElement);
                 return;
             }
 
-            // PDF file — Firefox uses background, Chrome uses inline
-            var fullText = '';
-            var pdf = null;
-
-            if (isFirefox()) {
-                updateZoneStatus(zoneElement, 'Parsing PDF (bg)...', 'orange');
-                fullText = await parsePdfInBackground(file);
-            } else {
-                const arrayBuffer = await readFileAsArrayBuffer(file);
-                const copy = new Uint8Array(arrayBuffer);
-                ensurePdfWorker();
-                const pdfDoc = await pdfjsLib.getDocument({ data: copy, disableRange: true, disableStream: true, isEvalSupported: false }).promise;
-                pdf = pdfDoc;
-                const page = await pdf.getPage(1);
-                const textContent = await page.getTextContent();
-                fullText = textContent.items.map(item => item.str).join('\n');
+            // PDF, photo or scan — every page is read; a file with several passports goes to group fill
+            const read = await readFileDocuments(file, status => updateZoneStatus(zoneElement, status, 'orange'));
+            if (read.documents.length > 1) {
+                const available = Array.from(Utils.$$('div.tourist')).filter(d => d.dataset.peopleinc);
+                if (available.length) {
+                    releasePdfInBackground(file);
+                    showGroupFillModal(read.documents.map(doc => ({ parsed: parsePdfDocument(doc, read.ocrUsed), file: file })), available, zoneElement);
+                    return;
+                }
             }
 
             let parsedData;
-            let ocrUsed = false;
-
-            if (fullText.trim().length < 20) {
-                if (pdf && !isFirefox()) {
-                    updateZoneStatus(zoneElement, 'No text layer, trying OCR...', 'orange');
-                    const ocrText = await ocrFromPdf(pdf);
-                    if (ocrText && ocrText.trim().length > 20) {
-                        parsedData = PassportParser.parse(ocrText);
-                        ocrUsed = true;
-                    } else {
-                        updateZoneStatus(zoneElement, 'No text found in PDF', 'red');
-                        return;
-                    }
-                } else {
-                    updateZoneStatus(zoneElement, 'No text found in PDF', 'red');
+            if (read.documents.length) {
+                parsedData = parsePdfDocument(read.documents.sort((a, b) => b.score - a.score)[0], read.ocrUsed);
+            } else {
+                const fullText = read.pages.join('\n');
+                if (fullText.trim().length < PDF_MIN_PAGE_TEXT) {
+                    releasePdfInBackground(file);
+                    updateZoneStatus(zoneElement, read.format === 'pdf' ? 'No text found in PDF' : 'Photo OCR failed', 'red');
                     return;
                 }
-            } else {
                 parsedData = PassportParser.parse(fullText);
+                parsedData.ocrUsed = read.ocrUsed;
+                // The viewer shows the first VIEWER_MAX_PAGES of these
+                parsedData.sourcePages = read.pages.map((text, i) => i + 1);
             }
 
-            chrome.storage.local.get(['defaultEmail', 'defaultPhone', 'autoFill'], (defaults) => {
+            chrome.storage.local.get(['defaultEmail', 'defaultPhone', 'autoFill', 'autoFillThreshold'], (defaults) => {
                 parsedData.email = defaults.defaultEmail || '';
                 parsedData.phone = defaults.defaultPhone || '';
-                parsedData.ocrUsed = ocrUsed;
-
-                // Cleanup pdf.js resources
-                if (pdf && typeof pdf.cleanup === 'function') {
-                    pdf.cleanup().then(function() {
-                        if (pdf && typeof pdf.destroy === 'function') return pdf.destroy();
-                    }).catch(function() {});
-                } else if (pdf && typeof pdf.destroy === 'function') {
-                    pdf.destroy().catch(function() {});
-                }
 
-                if (defaults.autoFill && parsedData.isValid && !ocrUsed) {
+                if (canAutoFill(parsedData, defaults)) {
+                    releasePdfInBackground(file);
                     fillFormSequentially(parsedData, touristIndex, zoneElement);
                 } else {
-                    showPreviewModal(parsedData, touristIndex, zoneElement);
+                    // Released by the source viewer once it has rendered its pages
+                    showPreviewModal(parsedData, touristIndex, zoneElement, file);
                 }
             });
 
         } catch (err) {
             console.error('[PassportAutoFill] File error:', err);
-            var errMsg = file.type.startsWith('image/') ? 'Photo error' : 'PDF Error';
-            updateZoneStatus(zoneElement, errMsg, 'red');
+            releasePdfInBackground(file);
+            updateZoneStatus(zoneElement, getFileErrorStatus(err, file), 'red');
         }
     }
 
-    function showPreviewModal(data, touristIndex, zoneElement) {
+    // `sourceFile`, when given, is shown next to the fields in the image viewer
+    function showPreviewModal(data, touristIndex, zoneElement, sourceFile) {
         if (previewModal) previewModal.remove();
 
         const modal = document.createElement('div');
         modal.id = 'fs-preview-modal';
 
-        const validation = validatePassportData(data);
+        // Read once: the trip lookup walks the whole page
+        const trip = getTripInfo();
+        const validation = validatePassportData(data, trip);
 
         const ocrWarningHtml = data.ocrUsed ? `
             <div class="fs-ocr-warning">
@@ -1112,7 +1581,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
         ` : '';
 
         modal.innerHTML = `
-            <div class="fs-modal-content">
+            <div class="fs-modal-content${sourceFile ? ' fs-modal-wide' : ''}">
                 <div class="fs-modal-header">
                     <h3>Extracted Data</h3>
                     <button class="fs-modal-close">&times;</button>
@@ -1124,34 +1593,44 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
                         <span>${validation.isValid ? 'Data looks good' : 'Please check highlighted fields'}</span>
                         ${validation.warnings.length > 0 ? '<span class="fs-warnings-count">' + validation.warnings.length + ' warning(s)</span>' : ''}
                     </div>
+                    ${getMrzStatusHtml(data)}
+                    ${getIssuesHtml(data)}
+                    ${getTripHtml(data, trip)}
 
+                    <div class="fs-preview-layout">
+                    ${sourceFile ? getSourceViewerHtml() : ''}
                     <div class="fs-data-grid">
                         <div class="fs-field-row">
-                            <label>Surname</label>
+                            <label>Surname ${getConfidenceBadge('surname', data)}</label>
                             <div class="fs-field-input">
                                 <input type="text" id="preview-surname" value="${Utils.escapeHtml(data.surname)}" class="${getFieldClass('surname', data)}">
                                 <span class="fs-field-error" id="error-surname">${getFieldError('surname', data)}</span>
+                                ${getCandidatesHtml('surname', 'preview-surname', data)}
                             </div>
                         </div>
 
                         <div class="fs-field-row">
-                            <label>Name</label>
+                            <label>Name ${getConfidenceBadge('name', data)}</label>
                             <div class="fs-field-input">
                                 <input type="text" id="preview-name" value="${Utils.escapeHtml(data.name)}" class="${getFieldClass('name', data)}">
                                 <span class="fs-field-error" id="error-name">${getFieldError('name', data)}</span>
+                                ${getCandidatesHtml('name', 'preview-name', data)}
                             </div>
                         </div>
 
+                        ${getCyrillicNameHtml(data)}
+
                         <div class="fs-field-row">
-                            <label>Passport</label>
+                            <label>Passport ${getConfidenceBadge('number', data)}</label>
                             <div class="fs-field-input">
                                 <input type="text" id="preview-number" value="${Utils.escapeHtml(data.number)}" class="${getFieldClass('number', data)}">
                                 <span class="fs-field-error" id="error-number">${getFieldError('number', data)}</span>
+                                ${getCandidatesHtml('number', 'preview-number', data)}
                             </div>
                         </div>
 
                         <div class="fs-field-row">
-                            <label>IIN</label>
+                            <label>IIN ${getConfidenceBadge('iin', data)}</label>
                             <div class="fs-field-input">
                                 <input type="text" id="preview-iin" value="${Utils.escapeHtml(data.iin)}" maxlength="12" class="${getIINClass(data.iin)}">
                                 <span class="fs-field-error" id="error-iin">${getIINError(data.iin)}</span>
@@ -1159,28 +1638,31 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
                         </div>
 
                         <div class="fs-field-row">
-                            <label>Birth Date</label>
+                            <label>Birth Date ${getConfidenceBadge('birthDate', data)}</label>
                             <div class="fs-field-input">
                                 <input type="text" id="preview-birth" value="${Utils.escapeHtml(data.birthDate)}" placeholder="DD.MM.YYYY" class="${getFieldClass('birthDate', data)}">
                                 <span class="fs-field-error" id="error-birth">${getFieldError('birthDate', data)}</span>
+                                ${getCandidatesHtml('birthDate', 'preview-birth', data)}
                             </div>
                         </div>
 
                         <div class="fs-field-row">
-                            <label>Valid Until</label>
+                            <label>Valid Until ${getConfidenceBadge('validDate', data)}</label>
                             <div class="fs-field-input">
-                                <input type="text" id="preview-valid" value="${Utils.escapeHtml(data.validDate)}" placeholder="DD.MM.YYYY" class="${getValidDateClass(data.validDate)}">
-                                <span class="fs-field-error" id="error-valid">${getValidDateError(data.validDate)}</span>
+                                <input type="text" id="preview-valid" value="${Utils.escapeHtml(data.validDate)}" placeholder="DD.MM.YYYY" class="${getValidDateClass(data.validDate, data, trip)}">
+                                <span class="fs-field-error" id="error-valid">${getValidDateError(data.validDate, data, trip)}</span>
+                                ${getCandidatesHtml('validDate', 'preview-valid', data)}
                             </div>
                         </div>
 
                         <div class="fs-field-row">
-                            <label>Gender</label>
+                            <label>Gender ${getConfidenceBadge('gender', data)}</label>
                             <div class="fs-field-input">
                                 <select id="preview-gender">
                                     <option value="1" ${data.gender === '1' ? 'selected' : ''}>Male</option>
                                     <option value="0" ${data.gender === '0' ? 'selected' : ''}>Female</option>
                                 </select>
+                                ${getCandidatesHtml('gender', 'preview-gender', data)}
                             </div>
                         </div>
 
@@ -1199,6 +1681,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
                             </div>
                         </div>
                     </div>
+                    </div>
                 </div>
                 <div class="fs-modal-footer">
                     <button class="fs-btn fs-btn-cancel">Cancel</button>
@@ -1215,8 +1698,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
 
         const fillBtn = Utils.$('.fs-btn-fill', modal);
         fillBtn.addEventListener('click', () => {
-            const editedData = {
-                ...data,
+            const editedData = PassportParser.applyManualEdits(data, {
                 surname: Utils.$('#preview-surname').value.trim(),
                 name: Utils.$('#preview-name').value.trim(),
                 number: Utils.$('#preview-number').value.trim(),
@@ -1226,9 +1708,9 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
                 gender: Utils.$('#preview-gender').value,
                 email: Utils.$('#preview-email').value.trim(),
                 phone: Utils.$('#preview-phone').value.trim()
-            };
+            });
 
-            const newValidation = validatePassportData(editedData);
+            const newValidation = validatePassportData(editedData, trip);
             if (!newValidation.isValid) {
                 updateModalValidation(modal, editedData, newValidation);
                 return;
@@ -1242,10 +1724,98 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
             if (e.target === modal) closeModal();
         });
 
-        addModalInputListeners(modal);
+        addModalInputListeners(modal, data, trip);
+        if (sourceFile) attachSourceViewer(modal, sourceFile, data.sourcePages || [1], data);
+    }
+
+    // Names as printed in Cyrillic, read-only: the form takes the Latin spelling
+    function getCyrillicNameHtml(data) {
+        const cyrillic = [data.surnameCyrillic, data.nameCyrillic].filter(Boolean).join(' ');
+        if (!cyrillic) return '';
+        return `<div class="fs-field-row">
+                            <label>Cyrillic</label>
+                            <div class="fs-field-input">
+                                <input type="text" id="preview-cyrillic" value="${Utils.escapeHtml(cyrillic)}" readonly>
+                            </div>
+                        </div>`;
+    }
+
+    // Destination and dates read from the booking page, with the entry-rule notes
+    function getTripHtml(data, trip) {
+        const check = checkTripValidity(data, trip);
+        trip = check.trip;
+        if (!trip.country && !trip.departureDate) return '';
+        const rule = trip.country ? PassportParser.COUNTRY_RULES[trip.country] : null;
+        const dates = [trip.departureDate, trip.returnDate].filter(Boolean).join(' – ');
+        const visa = checkVisaRequirement(data, trip);
+        const notes = check.notes.concat(visa ? [visa] : []).map(n => '<li>' + Utils.escapeHtml(formatIssue(n)) + '</li>').join('');
+        return '<div class="fs-trip-info">' + Utils.escapeHtml([rule ? rule.name : '', dates].filter(Boolean).join(', ')) +
+            (notes ? '<ul>' + notes + '</ul>' : '') + '</div>';
+    }
+
+    // Parser errors and warnings, rendered in the popup's language
+    function getIssuesHtml(data) {
+        const render = list => (list || []).map(i => '<li>' + Utils.escapeHtml(formatIssue(i)) + '</li>').join('');
+        let html = '';
+        if (data.errors && data.errors.length) html += '<div class="fs-errors"><ul>' + render(data.errors) + '</ul></div>';
+        if (data.warnings && data.warnings.length) html += '<div class="fs-warnings"><ul>' + render(data.warnings) + '</ul></div>';
+        return html;
     }
 
-    function addModalInputListeners(modal) {
+    const SOURCE_LABELS = { mrz: 'MRZ', viz: 'Printed', iin: 'IIN', ocr: 'Text', manual: 'Manual' };
+
+    const MRZ_CHECK_LABELS = {
+        number: 'Passport', birthDate: 'Birth Date', validDate: 'Valid Until',
+        optional: 'Optional data', composite: 'Composite'
+    };
+
+    function getMrzStatusHtml(data) {
+        if (!data.mrzFormat) return '';
+        if (data.mrzVerified) {
+            return '<div class="fs-mrz-status verified">MRZ verified — all check digits match</div>';
+        }
+        const checks = data.mrzChecks || {};
+        const failed = Object.keys(checks).filter(k => checks[k] === false).map(k => MRZ_CHECK_LABELS[k] || k);
+        return '<div class="fs-mrz-status failed">MRZ not verified' +
+            (failed.length ? ': check digit mismatch in ' + Utils.escapeHtml(failed.join(', ')) : '') + '</div>';
+    }
+
+    function getConfidenceBadge(field, data) {
+        if (!data.confidence || data.confidence[field] === undefined || !data[field]) return '';
+        const value = data.confidence[field];
+        const level = value >= 0.8 ? 'high' : (value >= 0.5 ? 'medium' : 'low');
+        const source = data.fields && data.fields[field] && data.fields[field].source;
+        const title = 'Confidence' + (source ? ' · source: ' + (SOURCE_LABELS[source] || source) : '');
+        return '<span class="fs-confidence ' + level + '" title="' + title + '">' + Math.round(value * 100) + '%</span>';
+    }
+
+    // Buttons for each distinct reading when MRZ, printed zone and IIN disagree
+    function getCandidatesHtml(field, inputId, data) {
+        const report = data.consistency && data.consistency.fields[field];
+        if (!report || report.agree) return '';
+        const buttons = report.candidates.map(function(c) {
+            const sources = c.sources.map(s => SOURCE_LABELS[s] || s).join(' + ');
+            const shown = field === 'gender' ? (c.value === '1' ? 'Male' : 'Female') : c.value;
+            const selected = c.value === data[field] ? ' selected' : '';
+            return '<button type="button" class="fs-candidate' + selected + '" data-target="' + inputId +
+                '" data-value="' + Utils.escapeHtml(c.value) + '">' +
+                Utils.escapeHtml(sources) + ': <strong>' + Utils.escapeHtml(shown) + '</strong></button>';
+        });
+        return '<div class="fs-candidates"><span class="fs-candidates-title">Sources disagree:</span>' + buttons.join('') + '</div>';
+    }
+
+    function addModalInputListeners(modal, data, trip) {
+        Utils.$$('.fs-candidate', modal).forEach(function(button) {
+            button.addEventListener('click', function() {
+                const input = Utils.$('#' + this.dataset.target, modal);
+                if (!input) return;
+                input.value = this.dataset.value;
+                input.dispatchEvent(new Event('input', { bubbles: true }));
+                Utils.$$('.fs-candidate', this.parentNode).forEach(b => b.classList.remove('selected'));
+                this.classList.add('selected');
+            });
+        });
+
         const iinInput = Utils.$('#preview-iin', modal);
         if (iinInput) {
             iinInput.addEventListener('input', function() {
@@ -1260,8 +1830,8 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
         if (validInput) {
             validInput.addEventListener('input', function() {
                 const errorEl = Utils.$('#error-valid', modal);
-                this.className = getValidDateClass(this.value);
-                if (errorEl) errorEl.textContent = getValidDateError(this.value);
+                this.className = getValidDateClass(this.value, data, trip);
+                if (errorEl) errorEl.textContent = getValidDateError(this.value, data, trip);
             });
         }
 
@@ -1324,28 +1894,18 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
         return '';
     }
 
-    function getValidDateClass(dateStr) {
+    function getValidDateClass(dateStr, data, trip) {
         if (!dateStr) return 'error';
-        const parts = dateStr.split('.');
-        if (parts.length !== 3) return 'error';
-        const date = new Date(parts[2], parts[1] - 1, parts[0]);
-        const now = new Date();
-        const months = (date - now) / (1000 * 60 * 60 * 24 * 30);
-        if (months < 0) return 'error';
-        if (months < 6) return 'warning';
+        const check = checkTripValidity({ ...(data || {}), validDate: dateStr }, trip);
+        if (check.level === 'error') return 'error';
+        if (check.level === 'warning') return 'warning';
         return 'success';
     }
 
-    function getValidDateError(dateStr) {
+    function getValidDateError(dateStr, data, trip) {
         if (!dateStr) return 'Required';
-        const parts = dateStr.split('.');
-        if (parts.length !== 3) return 'Invalid format (DD.MM.YYYY)';
-        const date = new Date(parts[2], parts[1] - 1, parts[0]);
-        const now = new Date();
-        const months = (date - now) / (1000 * 60 * 60 * 24 * 30);
-        if (months < 0) return 'PASSPORT EXPIRED!';
-        if (months < 6) return 'Expires soon (< 6 months)';
-        return '';
+        const check = checkTripValidity({ ...(data || {}), validDate: dateStr }, trip);
+        return check.level === 'ok' ? '' : formatIssue(check.issue);
     }
 
     function getEmailClass(email) {
@@ -1413,7 +1973,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
         setInputValue(index, 'EMAIL', data.email);
         setInputValue(index, 'PHONE', data.phone);
 
-        if (settings.forceKAZSeries) {
+        if (settings.forceKAZSeries && (!data.issuingState || data.issuingState === 'KAZ')) {
             setInputValue(index, 'PSERIE', 'KAZ');
         } else {
             setInputValue(index, 'PSERIE', data.pserie || '');
@@ -1424,6 +1984,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
         }
 
         checkPassportExpiryHighlight(data, index);
+        markVisaRequirement(data, index);
 
         updateZoneStatus(zoneElement, 'Done!', 'green');
 
@@ -1434,23 +1995,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
     }
 
     function fillFromTemplate(template, index, zoneElement) {
-        const data = {
-            surname: template.surname,
-            name: template.name,
-            number: template.number,
-            iin: template.iin,
-            birthDate: template.birthDate,
-            issueDate: template.issueDate || '',
-            validDate: template.validDate,
-            gender: template.gender,
-            email: template.email || '',
-            phone: template.phone || '',
-            authority: 'MIA OF KAZAKHSTAN',
-            pserie: template.pserie || '',
-            nationality: 'KAZ',
-            isValid: true,
-            ocrUsed: false
-        };
+        const data = { ...PassportParser.fromTemplate(template), isValid: true, ocrUsed: false };
         fillFormSequentially(data, index, zoneElement);
     }
 
@@ -1473,30 +2018,30 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
         });
     }
 
-    function validatePassportData(data) {
+    // `trip` is looked up on the page when not given
+    function validatePassportData(data, trip) {
+        const ISSUES = PassportParser.ISSUES;
         const warnings = [];
         let isValid = true;
 
-        if (!data.surname || data.surname.length < 2) warnings.push('Surname is too short or missing');
-        if (!data.name || data.name.length < 2) warnings.push('Name is too short or missing');
-        if (!data.number) { warnings.push('Passport number is missing'); isValid = false; }
-        if (!data.birthDate) { warnings.push('Birth date is missing'); isValid = false; }
+        ['surname', 'name'].forEach(function(field) {
+            if (!data[field]) warnings.push({ code: ISSUES.FIELD_MISSING, params: { field: field } });
+            else if (data[field].length < 2) warnings.push({ code: ISSUES.FIELD_TOO_SHORT, params: { field: field } });
+        });
+        ['number', 'birthDate'].forEach(function(field) {
+            if (!data[field]) { warnings.push({ code: ISSUES.FIELD_MISSING, params: { field: field } }); isValid = false; }
+        });
 
         if (data.validDate) {
-            const parts = data.validDate.split('.');
-            if (parts.length === 3) {
-                const expiryDate = new Date(parts[2], parts[1] - 1, parts[0]);
-                const now = new Date();
-                const monthsValid = (expiryDate - now) / (1000 * 60 * 60 * 24 * 30);
-                if (monthsValid < 0) { warnings.push('PASSPORT EXPIRED!'); isValid = false; }
-                else if (monthsValid < 6) warnings.push('Passport expires in less than 6 months');
-            }
+            const check = checkTripValidity(data, trip);
+            if (check.issue.code === ISSUES.PASSPORT_EXPIRED) { warnings.push(check.issue); isValid = false; }
+            else if (check.level !== 'ok') warnings.push(check.issue);
         } else {
-            warnings.push('Passport expiry date is missing');
+            warnings.push({ code: ISSUES.EXPIRY_MISSING, params: {} });
         }
 
         if (data.iin && data.iin.length === 12) {
-            if (!PassportParser.validateIIN(data.iin)) warnings.push('IIN checksum validation failed');
+            if (!PassportParser.validateIIN(data.iin)) warnings.push({ code: ISSUES.IIN_CHECKSUM_FAILED, params: { iin: data.iin } });
         }
 
         return { isValid, warnings };
@@ -1515,27 +2060,148 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
     function checkPassportExpiryHighlight(data, index) {
         if (!data.validDate) return;
 
-        const parts = data.validDate.split('.');
-        if (parts.length !== 3) return;
-
-        const expiryDate = new Date(parts[2], parts[1] - 1, parts[0]);
-        const now = new Date();
-        const monthsValid = (expiryDate - now) / (1000 * 60 * 60 * 24 * 30);
-
         const touristDiv = Utils.$('#tourist' + index);
         if (!touristDiv) return;
 
-        if (monthsValid < 0) {
+        const check = checkTripValidity(data);
+        const who = ': ' + (data.surname || '') + ' ' + (data.name || '');
+        if (check.level === 'error') {
             touristDiv.style.outline = '3px solid #ef4444';
             touristDiv.style.outlineOffset = '-2px';
             touristDiv.style.backgroundColor = 'rgba(239, 68, 68, 0.08)';
-            showExpiryToast('PASSPORT EXPIRED! ' + (data.surname || '') + ' ' + (data.name || ''), 'error');
-        } else if (monthsValid < 6) {
+            showExpiryToast(formatIssue(check.issue) + who, 'error');
+        } else if (check.level === 'warning') {
             touristDiv.style.outline = '3px solid #f59e0b';
             touristDiv.style.outlineOffset = '-2px';
             touristDiv.style.backgroundColor = 'rgba(245, 158, 11, 0.08)';
-            showExpiryToast('Passport expires in ' + Math.floor(monthsValid) + ' months: ' + (data.surname || '') + ' ' + (data.name || ''), 'warning');
+            showExpiryToast(formatIssue(check.issue) + who, 'warning');
+        }
+    }
+
+    // Per-tourist notice when their nationality needs a visa (or a longer stay than visa-free
+    // allows) for the tour's country; kept inside the tourist block until the next fill
+    function markVisaRequirement(data, index, trip) {
+        const touristDiv = Utils.$('#tourist' + index);
+        if (!touristDiv) return;
+
+        const existing = Utils.$('.fs-visa-notice', touristDiv);
+        if (existing) existing.remove();
+
+        const visa = checkVisaRequirement(data, trip);
+        if (!visa || !visa.needsAction) return;
+
+        const notice = document.createElement('div');
+        notice.className = 'fs-visa-notice';
+        notice.textContent = formatIssue(visa) + ': ' + ((data.surname || '') + ' ' + (data.name || '')).trim();
+        touristDiv.insertBefore(notice, touristDiv.firstChild);
+    }
+
+    /* ==================== TRIP DATES ==================== */
+
+    const TRIP_DATE_FIELDS = {
+        departureDate: /CHECKIN|DATEBEG|DATE_BEG|DEPARTURE|DATE_?FROM/i,
+        returnDate: /CHECKOUT|DATEEND|DATE_END|RETURN|DATE_?TO\b/i
+    };
+    // Booking-form controls (name or id) holding the tour's destination country
+    const TRIP_DESTINATION_FIELD = /^(?:STATEINC|STATE_?TO|COUNTRY(?:_?TO)?|DESTINATION(?:_?COUNTRY)?)$/i;
+    const TRIP_RANGE_REGEX = /(\d{2}\.\d{2}\.\d{4})\s*[-–—]\s*(\d{2}\.\d{2}\.\d{4})/;
+    const TRIP_NIGHTS_REGEX = /(\d{1,2})\s*(?:ноч|nights?)/i;
+    const DEFAULT_EXPIRY_MONTHS = 6;
+
+    // Visible page text, leaving out dropdown options and our own widgets
+    function getVisiblePageText() {
+        if (!document.body) return '';
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+            acceptNode: function(node) {
+                const parent = node.parentElement;
+                return parent && !parent.closest('select, script, style, .fs-passport-dropzone, #fs-preview-modal')
+                    ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+            }
+        });
+        const parts = [];
+        while (walker.nextNode()) parts.push(walker.currentNode.nodeValue);
+        return parts.join(' ').replace(/\s+/g, ' ');
+    }
+
+    function addDays(dateStr, days) {
+        const parts = dateStr.split('.');
+        const date = new Date(parts[2], parts[1] - 1, parseInt(parts[0]) + days);
+        return [date.getDate(), date.getMonth() + 1].map(n => String(n).padStart(2, '0')).join('.') + '.' + date.getFullYear();
+    }
+
+    // Departure/return dates and destination shown on the booking page, when it shows them.
+    // The destination is only taken from a form control marked as one (never from free page
+    // text, where menus and nationality fields name other countries).
+    function getTripInfo() {
+        const trip = { departureDate: '', returnDate: '', country: '' };
+
+        Utils.$$('input[name], input[id]').forEach(function(input) {
+            const key = (input.name || '') + ' ' + (input.id || '');
+            const value = (input.value || '').trim();
+            if (!/^\d{2}\.\d{2}\.\d{4}$/.test(value)) return;
+            Object.keys(TRIP_DATE_FIELDS).forEach(function(field) {
+                if (!trip[field] && TRIP_DATE_FIELDS[field].test(key)) trip[field] = value;
+            });
+        });
+
+        const text = getVisiblePageText();
+        if (!trip.departureDate) {
+            const range = text.match(TRIP_RANGE_REGEX);
+            if (range) {
+                trip.departureDate = range[1];
+                trip.returnDate = trip.returnDate || range[2];
+            }
+        }
+        if (trip.departureDate && !trip.returnDate) {
+            const nights = text.match(TRIP_NIGHTS_REGEX);
+            if (nights) trip.returnDate = addDays(trip.departureDate, parseInt(nights[1]));
+        }
+
+        trip.country = getTripDestination();
+
+        return trip;
+    }
+
+    // Selected option text (or typed value) of the destination control outside tourist blocks
+    function getTripDestination() {
+        const field = Array.from(Utils.$$('select, input')).find(function(el) {
+            return !el.closest('div.tourist') && (TRIP_DESTINATION_FIELD.test(el.name || '') || TRIP_DESTINATION_FIELD.test(el.id || ''));
+        });
+        if (!field) return '';
+        const option = field.tagName === 'SELECT' ? field.options[field.selectedIndex] : null;
+        return PassportParser.findCountry(option ? option.text : field.value);
+    }
+
+    // Passport validity against the destination rule and trip dates; without a known
+    // destination the general six-month recommendation applies
+    function checkTripValidity(data, trip) {
+        trip = trip || getTripInfo();
+        const result = PassportParser.validatePassportExpiry(data.validDate, trip.country, {
+            departureDate: trip.departureDate,
+            returnDate: trip.returnDate,
+            issueDate: data.issueDate,
+            nationality: data.nationality
+        });
+        const ISSUES = PassportParser.ISSUES;
+        const issue = { code: result.code, params: result.params };
+
+        if (result.code === ISSUES.PASSPORT_EXPIRED || result.code === ISSUES.EXPIRY_MISSING || result.code === ISSUES.EXPIRY_INVALID) {
+            return { level: 'error', issue: issue, notes: [], trip: trip };
+        }
+        if (!result.valid) return { level: 'warning', issue: issue, notes: result.notes, trip: trip };
+        if (!result.rule && result.monthsValid < DEFAULT_EXPIRY_MONTHS) {
+            return { level: 'warning', issue: { code: ISSUES.EXPIRES_SOON, params: { required: DEFAULT_EXPIRY_MONTHS } }, notes: [], trip: trip };
         }
+        return { level: 'ok', issue: issue, notes: result.notes, trip: trip };
+    }
+
+    // Visa regime for the tourist's passport nationality; null when the destination is unknown
+    function checkVisaRequirement(data, trip) {
+        trip = trip || getTripInfo();
+        const nationality = data.nationality || data.issuingState;
+        if (!trip.country || !nationality) return null;
+        const visa = PassportParser.checkVisaRequirement(trip.country, nationality, trip);
+        return visa && visa.code !== PassportParser.ISSUES.VISA_UNKNOWN ? visa : null;
     }
 
     let expiryToastEl = null;
@@ -1628,6 +2294,9 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
         return true;
     }
 
+    // Idle text of the drop zones, restored after a result message
+    const ZONE_HINT = 'Drag & drop, click or Ctrl+V';
+
     function updateZoneStatus(element, text, color) {
         const span = Utils.$('.fs-status-text', element);
         if (!span) return;
@@ -1636,7 +2305,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
         if (color === 'green' || color === 'red') {
             setTimeout(() => {
                 if (span.innerText === text) {
-                    span.innerText = 'Drag & drop or click';
+                    span.innerText = ZONE_HINT;
                     span.style.color = '#555';
                 }
             }, 3000);
@@ -1915,6 +2584,15 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
     // Periodic popup cleanup (non-blocking)
     setInterval(closeSamoPopup, 2000);
 
+    // Parser issues in the preview are rendered in the popup's language
+    loadStoredLang();
+
+    // Destination rules: bundled dataset plus agency overrides edited in the popup
+    PassportParser.loadCountryRules();
+    chrome.storage.onChanged.addListener(function(changes, area) {
+        if (area === 'local' && changes[PassportParser.COUNTRY_RULE_OVERRIDES_KEY]) PassportParser.loadCountryRules();
+    });
+
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', function() { tryAutoLogin(); debouncedInit(); retryInit(10); });
     } else {
@@ -1958,6 +2636,39 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
             fillFromTemplate(tpl, index, zone);
             sendResponse({ success: true });
         }
+
+        // Tourist blocks offered by the "Parse passport" context-menu page. The script runs
+        // in every frame and the first reply wins, so frames without blocks stay silent.
+        if (message.action === 'getTouristBlocks') {
+            const tourists = Array.from(Utils.$$('div.tourist')).filter(d => d.dataset.peopleinc).map(function(div) {
+                const legend = findLegendContainer(div);
+                const label = legend ? legend.innerText.trim().split('\n')[0] : '';
+                return { index: div.dataset.peopleinc, label: label || 'Tourist ' + div.dataset.peopleinc };
+            });
+            if (!tourists.length) return;
+            sendResponse({ tourists: tourists });
+        }
+
+        // Data parsed from a context-menu image: reviewed in the preview before filling;
+        // answered only by the frame holding the tourist block
+        if (message.action === 'fillParsed') {
+            const touristDiv = Array.from(Utils.$$('div.tourist')).find(d => d.dataset.peopleinc === String(message.touristIndex));
+            if (!touristDiv) return;
+            if (!message.data) {
+                sendResponse({ success: false });
+                return;
+            }
+            const zone = Utils.$('.fs-passport-dropzone', touristDiv.parentElement) ||
+                         Utils.$('.fs-passport-dropzone', touristDiv.closest('fieldset'));
+            const parsedData = message.data;
+            chrome.storage.local.get(['defaultEmail', 'defaultPhone'], (defaults) => {
+                parsedData.email = defaults.defaultEmail || '';
+                parsedData.phone = defaults.defaultPhone || '';
+                parsedData.ocrUsed = true;
+                showPreviewModal(parsedData, message.touristIndex, zone);
+            });
+            sendResponse({ success: true });
+        }
     });
 
     /* ==================== CURRENCY CONVERTER ==================== */
@@ -10,6 +10,8 @@ var I18N = {
         'phone': 'Телефон',
         'phone_hint': '10-12 цифр без пробелов',
         'auto_fill': 'Автозаполнение без предпросмотра',
+        'auto_fill_threshold': 'Мин. уверенность для автозаполнения, %',
+        'auto_fill_threshold_hint': 'Ниже порога — предпросмотр перед заполнением',
         'save_settings': 'Сохранить',
         'saved': 'Сохранено!',
         'updates': 'Обновления',
@@ -113,13 +115,102 @@ var I18N = {
         'infant': 'МЛАДЕНЕЦ (0-2)',
         'expired_days_ago': 'просрочен дней назад',
         'expires_in_days': 'Истекает через дней',
-        'passport_expires_warning': 'Просрочен менее чем за 6 месяцев',
+        'passport_expires_warning': 'Срока действия недостаточно для поездки',
         'many_countries_require': 'Многие страны требуют 6+ мес. срок',
         'history': 'История',
         'fill_history': 'История заполнений',
         'clear_history': 'Очистить',
         'no_history': 'Нет записей',
-        'history_cleared': 'История очищена!'
+        'history_cleared': 'История очищена!',
+        'field_surname': 'Фамилия',
+        'field_name': 'Имя',
+        'field_number': 'Номер паспорта',
+        'field_birthDate': 'Дата рождения',
+        'field_validDate': 'Срок действия',
+        'field_gender': 'Пол',
+        'field_iin': 'ИИН',
+        'field_optional': 'Доп. данные',
+        'field_composite': 'Общая контрольная цифра',
+        'field_nameLine': 'Строка имени',
+        'field_nationality': 'Гражданство',
+        'field_issuingState': 'Страна выдачи',
+        'field_optional2': 'Доп. данные (2)',
+        'field_issueDate': 'Дата выдачи',
+        'field_authority': 'Орган выдачи',
+        'source_mrz': 'MRZ',
+        'source_viz': 'Печатная зона',
+        'source_iin': 'ИИН',
+        'issue_NUMBER_NOT_FOUND': 'Номер паспорта не найден',
+        'issue_BIRTH_DATE_NOT_FOUND': 'Дата рождения не найдена',
+        'issue_SURNAME_NOT_FOUND': 'Фамилия не найдена',
+        'issue_NAME_NOT_FOUND': 'Имя не найдено',
+        'issue_IIN_NOT_FOUND': 'ИИН не найден',
+        'issue_IIN_CHECKSUM_FAILED': 'Неверная контрольная сумма ИИН',
+        'issue_MRZ_CHECK_FAILED': 'MRZ: не сходится контрольная цифра ({field})',
+        'issue_MRZ_CORRECTED': 'MRZ исправлена ({field}): {from} → {to}',
+        'issue_MRZ_CENTURY_MISMATCH': 'Век даты рождения в MRZ не совпадает с ИИН: {mrz} → {iin}',
+        'issue_SOURCES_DISAGREE': 'Источники расходятся ({field}): {values}',
+        'issue_FIELD_MISSING': 'Не заполнено: {field}',
+        'issue_FIELD_TOO_SHORT': 'Слишком коротко: {field}',
+        'issue_EXPIRY_MISSING': 'Не указан срок действия паспорта',
+        'issue_EXPIRY_INVALID': 'Неверный формат даты: {date}',
+        'issue_PASSPORT_EXPIRED': 'ПАСПОРТ ПРОСРОЧЕН',
+        'issue_EXPIRES_SOON': 'Паспорт истекает менее чем через {required} мес.',
+        'issue_EXPIRY_TOO_SOON_FOR_COUNTRY': '{country}: паспорт должен действовать до {until} ({required} мес. от {from}), осталось {months} мес.',
+        'issue_EXPIRY_OK': 'Действует ещё {months} мес. (без требований страны)',
+        'issue_EXPIRY_OK_FOR_COUNTRY': 'Подходит для: {country} (ещё {months} мес. от {from})',
+        'issue_PASSPORT_TOO_OLD': '{country}: паспорт должен быть выдан не ранее чем {years} лет назад (выдан {date})',
+        'issue_ISSUE_DATE_UNKNOWN': '{country}: проверьте дату выдачи — паспорт не старше {years} лет',
+        'issue_BLANK_PAGES_REQUIRED': '{country}: нужно чистых страниц — {pages}',
+        'issue_COUNTRY_NOTE': '{country}: {note}',
+        'issue_VISA_NOT_REQUIRED': '{country}: виза не нужна ({nationality})',
+        'issue_VISA_FREE': '{country}: без визы до {days} дн. ({nationality})',
+        'issue_VISA_FREE_STAY_EXCEEDED': '{country}: без визы только {days} дн., а поездка {stay} дн. ({nationality})',
+        'issue_VISA_ON_ARRIVAL': '{country}: виза по прилёту, до {days} дн. ({nationality})',
+        'issue_EVISA_REQUIRED': '{country}: нужна электронная виза ({nationality})',
+        'issue_VISA_REQUIRED': '{country}: нужна виза ({nationality})',
+        'issue_VISA_UNKNOWN': '{country}: нет данных о визе для {nationality}',
+        'issue_CYRILLIC_NAME_MISMATCH': 'Кириллица не совпадает с латиницей: {cyrillic} / {latin}',
+        'from_today': 'сегодня',
+        'from_departure': 'даты вылета',
+        'from_return': 'даты возвращения',
+        'departure_date': 'Дата вылета',
+        'return_date': 'Дата возвращения',
+        'nationality': 'Гражданство',
+        'passport_series': 'Серия паспорта',
+        'issuing_state': 'Страна выдачи',
+        'authority': 'Орган выдачи',
+        'ocr_debug': 'Показывать шаги обработки фото (отладка OCR)',
+        'cyrillic_name': 'Кириллица',
+        'parse_passport_image': 'Распознать паспорт',
+        'reading_image': 'Загрузка изображения...',
+        'image_unavailable': 'Не удалось загрузить изображение',
+        'recognizing': 'Распознавание...',
+        'parse_done': 'Данные распознаны',
+        'parse_check': 'Данные распознаны, проверьте поля',
+        'send_to_tourist': 'Отправить туристу',
+        'no_booking_tabs': 'Нет открытых вкладок с формой туристов',
+        'data_sent': 'Данные отправлены, проверьте их на вкладке бронирования',
+        'country_rules': 'Правила стран',
+        'country_code': 'Код страны',
+        'rule_months': 'Запас, мес.',
+        'rule_from': 'Считать от',
+        'rule_blank_pages': 'Чистых стр.',
+        'rule_note': 'Примечание (виза и т.п.)',
+        'save_rule': 'Сохранить правило',
+        'import_rules': 'Импорт правил',
+        'export_rules': 'Экспорт правил',
+        'rule_months_value': '{months} мес.',
+        'no_requirement': 'без требований',
+        'rules_dataset': 'База правил {version}: {count} стран',
+        'rules_local_count': 'локальных: {count}',
+        'rule_local': 'ЛОКАЛЬНОЕ',
+        'rule_reset': 'Вернуть правило из базы',
+        'rule_saved': 'Правило сохранено',
+        'rule_reset_done': 'Локальное правило удалено',
+        'invalid_rule': 'Проверьте код страны (2 буквы) и запас (0–24 мес.)',
+        'rules_imported': 'Импортировано правил: {count}',
+        'rules_rejected': 'пропущено: {codes}'
     },
     en: {
         'settings': 'Settings',
@@ -132,6 +223,8 @@ var I18N = {
         'phone': 'Phone',
         'phone_hint': '10-12 digits without spaces',
         'auto_fill': 'Auto-fill without preview',
+        'auto_fill_threshold': 'Minimum confidence for auto-fill, %',
+        'auto_fill_threshold_hint': 'Below the threshold the preview opens first',
         'save_settings': 'Save Settings',
         'saved': 'Saved!',
         'updates': 'Updates',
@@ -235,13 +328,102 @@ var I18N = {
         'infant': 'INFANT (0-2)',
         'expired_days_ago': 'days ago',
         'expires_in_days': 'Expires in days',
-        'passport_expires_warning': 'Expires in less than 6 months',
+        'passport_expires_warning': 'Validity too short for the trip',
         'many_countries_require': 'Many countries require 6+ months validity',
         'history': 'History',
         'fill_history': 'Fill History',
         'clear_history': 'Clear',
         'no_history': 'No records',
-        'history_cleared': 'History cleared!'
+        'history_cleared': 'History cleared!',
+        'field_surname': 'Surname',
+        'field_name': 'Name',
+        'field_number': 'Passport number',
+        'field_birthDate': 'Birth date',
+        'field_validDate': 'Expiry date',
+        'field_gender': 'Gender',
+        'field_iin': 'IIN',
+        'field_optional': 'Optional data',
+        'field_composite': 'Composite check digit',
+        'field_nameLine': 'Name line',
+        'field_nationality': 'Nationality',
+        'field_issuingState': 'Issuing state',
+        'field_optional2': 'Optional data (2)',
+        'field_issueDate': 'Issue date',
+        'field_authority': 'Issuing authority',
+        'source_mrz': 'MRZ',
+        'source_viz': 'Printed',
+        'source_iin': 'IIN',
+        'issue_NUMBER_NOT_FOUND': 'Passport number not found',
+        'issue_BIRTH_DATE_NOT_FOUND': 'Birth date not found',
+        'issue_SURNAME_NOT_FOUND': 'Surname not found',
+        'issue_NAME_NOT_FOUND': 'Given name not found',
+        'issue_IIN_NOT_FOUND': 'IIN not found',
+        'issue_IIN_CHECKSUM_FAILED': 'IIN checksum validation failed',
+        'issue_MRZ_CHECK_FAILED': 'MRZ check digit failed ({field})',
+        'issue_MRZ_CORRECTED': 'MRZ OCR correction ({field}): {from} → {to}',
+        'issue_MRZ_CENTURY_MISMATCH': 'MRZ birth date century disagrees with IIN: {mrz} → {iin}',
+        'issue_SOURCES_DISAGREE': 'Sources disagree ({field}): {values}',
+        'issue_FIELD_MISSING': 'Missing: {field}',
+        'issue_FIELD_TOO_SHORT': 'Too short: {field}',
+        'issue_EXPIRY_MISSING': 'Passport expiry date is missing',
+        'issue_EXPIRY_INVALID': 'Invalid date format: {date}',
+        'issue_PASSPORT_EXPIRED': 'PASSPORT EXPIRED',
+        'issue_EXPIRES_SOON': 'Passport expires in less than {required} months',
+        'issue_EXPIRY_TOO_SOON_FOR_COUNTRY': '{country}: passport must be valid until {until} ({required} months from {from}); {months} months left',
+        'issue_EXPIRY_OK': 'Valid for {months} more months (no country rule)',
+        'issue_EXPIRY_OK_FOR_COUNTRY': 'OK for {country} ({months} months left from {from})',
+        'issue_PASSPORT_TOO_OLD': '{country}: passport must be issued within the last {years} years (issued {date})',
+        'issue_ISSUE_DATE_UNKNOWN': '{country}: check the issue date — passport must be under {years} years old',
+        'issue_BLANK_PAGES_REQUIRED': '{country}: blank pages required — {pages}',
+        'issue_COUNTRY_NOTE': '{country}: {note}',
+        'issue_VISA_NOT_REQUIRED': '{country}: no visa needed ({nationality})',
+        'issue_VISA_FREE': '{country}: visa-free up to {days} days ({nationality})',
+        'issue_VISA_FREE_STAY_EXCEEDED': '{country}: visa-free only {days} days, trip is {stay} days ({nationality})',
+        'issue_VISA_ON_ARRIVAL': '{country}: visa on arrival, up to {days} days ({nationality})',
+        'issue_EVISA_REQUIRED': '{country}: e-visa required ({nationality})',
+        'issue_VISA_REQUIRED': '{country}: visa required ({nationality})',
+        'issue_VISA_UNKNOWN': '{country}: no visa data for {nationality}',
+        'issue_CYRILLIC_NAME_MISMATCH': 'Cyrillic name does not match the Latin one: {cyrillic} / {latin}',
+        'from_today': 'today',
+        'from_departure': 'departure',
+        'from_return': 'return',
+        'departure_date': 'Departure date',
+        'return_date': 'Return date',
+        'nationality': 'Nationality',
+        'passport_series': 'Passport series',
+        'issuing_state': 'Issuing state',
+        'authority': 'Issuing authority',
+        'ocr_debug': 'Show photo preprocessing steps (OCR debug)',
+        'cyrillic_name': 'Cyrillic',
+        'parse_passport_image': 'Parse passport',
+        'reading_image': 'Reading image...',
+        'image_unavailable': 'Could not load the image',
+        'recognizing': 'Recognizing...',
+        'parse_done': 'Data recognized',
+        'parse_check': 'Data recognized, check the fields',
+        'send_to_tourist': 'Send to tourist',
+        'no_booking_tabs': 'No open tabs with a tourist form',
+        'data_sent': 'Data sent, review it on the booking tab',
+        'country_rules': 'Country rules',
+        'country_code': 'Country code',
+        'rule_months': 'Margin, months',
+        'rule_from': 'Counted from',
+        'rule_blank_pages': 'Blank pages',
+        'rule_note': 'Note (visa etc.)',
+        'save_rule': 'Save rule',
+        'import_rules': 'Import rules',
+        'export_rules': 'Export rules',
+        'rule_months_value': '{months} months',
+        'no_requirement': 'no requirement',
+        'rules_dataset': 'Rules dataset {version}: {count} countries',
+        'rules_local_count': 'local: {count}',
+        'rule_local': 'LOCAL',
+        'rule_reset': 'Restore the dataset rule',
+        'rule_saved': 'Rule saved',
+        'rule_reset_done': 'Local rule removed',
+        'invalid_rule': 'Check the country code (2 letters) and margin (0–24 months)',
+        'rules_imported': 'Rules imported: {count}',
+        'rules_rejected': 'skipped: {codes}'
     }
 };
 
@@ -251,6 +433,43 @@ function t(key) {
     return (I18N[currentLang] && I18N[currentLang][key]) || key;
 }
 
+// Issue parameters holding an enum value that has its own translation key
+var ISSUE_PARAM_PREFIXES = { field: 'field_', from: 'from_' };
+// Issues whose parameter of that name holds text read from the document instead
+var ISSUE_RAW_PARAMS = { MRZ_CORRECTED: ['from', 'to'] };
+
+// Issue parameters passed as structured data; strings are kept for older history entries
+var ISSUE_PARAM_FORMATTERS = {
+    values: function(readings) {
+        if (!Array.isArray(readings)) return String(readings);
+        return readings.map(function(reading) {
+            return reading.sources.map(function(source) { return t('source_' + source); }).join('+') + ' ' + reading.value;
+        }).join(' / ');
+    }
+};
+
+// Renders a parser issue ({ code, params }) in the current language.
+// Plain strings come from history entries logged before issue codes existed.
+function formatIssue(issue) {
+    if (!issue || typeof issue === 'string') return issue || '';
+    var params = issue.params || {};
+    return t('issue_' + issue.code).replace(/\{(\w+)\}/g, function(placeholder, name) {
+        if (params[name] === undefined) return placeholder;
+        var raw = (ISSUE_RAW_PARAMS[issue.code] || []).indexOf(name) !== -1;
+        if (ISSUE_PARAM_PREFIXES[name] && !raw) return t(ISSUE_PARAM_PREFIXES[name] + params[name]);
+        if (ISSUE_PARAM_FORMATTERS[name]) return ISSUE_PARAM_FORMATTERS[name](params[name]);
+        return String(params[name]);
+    });
+}
+
+// Picks up the saved language without touching the page (content scripts, background)
+function loadStoredLang(callback) {
+    chrome.storage.local.get(['language'], function(res) {
+        if (res && res.language) currentLang = res.language;
+        if (callback) callback(currentLang);
+    });
+}
+
 function setLang(lang) {
     currentLang = lang;
     chrome.storage.local.set({ language: lang });
@@ -274,6 +493,8 @@ function applyTranslations() {
 if (typeof self !== 'undefined') {
     self.I18N = I18N;
     self.t = t;
+    self.formatIssue = formatIssue;
+    self.loadStoredLang = loadStoredLang;
     self.setLang = setLang;
     self.applyTranslations = applyTranslations;
     self.currentLang = currentLang;
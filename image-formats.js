@@ -0,0 +1,154 @@
+if (typeof self !== 'undefined' && self.ImageFormats) {
+    // Already loaded — skip
+} else {
+const ImageFormats = (function() {
+    'use strict';
+
+    // Uploads are identified by their first bytes: phones and scanners often send HEIC or
+    // TIFF with an empty or generic MIME type. `native` formats are decoded by the browser;
+    // the others by a decoder library injected on first use (see BUILD.md). PDF and ZIP are
+    // only detected here; content.js reads them with PDF.js and zip-reader.js.
+    const FORMATS = {
+        pdf: { label: 'PDF', mime: 'application/pdf' },
+        jpeg: { label: 'JPEG', mime: 'image/jpeg', native: true },
+        png: { label: 'PNG', mime: 'image/png', native: true },
+        gif: { label: 'GIF', mime: 'image/gif', native: true },
+        bmp: { label: 'BMP', mime: 'image/bmp', native: true },
+        webp: { label: 'WebP', mime: 'image/webp', native: true },
+        tiff: { label: 'TIFF', mime: 'image/tiff', decoder: { files: ['lib/pako_inflate.min.js', 'lib/utif.js'], global: 'UTIF' } },
+        heic: { label: 'HEIC', mime: 'image/heic', decoder: { files: ['lib/heic2any.min.js'], global: 'heic2any' } },
+        zip: { label: 'ZIP', mime: 'application/zip' }
+    };
+
+    // Bytes needed by detect()
+    const HEADER_LENGTH = 16;
+
+    // ISO-BMFF brands of HEIF images (iPhone photos use heic; mif1/msf1 are the generic ones)
+    const HEIF_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'];
+
+    // Files offered without a usable MIME type are accepted by extension
+    const EXTENSIONS = /\.(pdf|jpe?g|png|gif|bmp|webp|tiff?|hei[cf]|zip)$/i;
+    const ZIP_TYPES = ['application/zip', 'application/x-zip-compressed'];
+
+    const ERRORS = {
+        UNSUPPORTED: 'UNSUPPORTED_FORMAT',
+        DECODER_MISSING: 'DECODER_MISSING',
+        DECODE_FAILED: 'DECODE_FAILED'
+    };
+
+    function formatError(code, format, cause) {
+        const err = new Error(code + ': ' + (FORMATS[format] ? FORMATS[format].label : format || 'unknown') + (cause ? ' — ' + cause.message : ''));
+        err.code = code;
+        err.format = format;
+        return err;
+    }
+
+    function ascii(bytes, start, length) {
+        return String.fromCharCode.apply(null, Array.from(bytes.subarray(start, start + length)));
+    }
+
+    // Format name from the file header, or null when it is none of FORMATS
+    function detect(bytes) {
+        if (!bytes || bytes.length < 4) return null;
+        if (ascii(bytes, 0, 5) === '%PDF-') return 'pdf';
+        if (ascii(bytes, 0, 2) === 'PK' && ((bytes[2] === 3 && bytes[3] === 4) || (bytes[2] === 5 && bytes[3] === 6))) return 'zip';
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'jpeg';
+        if (bytes[0] === 0x89 && ascii(bytes, 1, 3) === 'PNG') return 'png';
+        if (ascii(bytes, 0, 4) === 'GIF8') return 'gif';
+        if (ascii(bytes, 0, 2) === 'BM') return 'bmp';
+        if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') return 'webp';
+        if ((ascii(bytes, 0, 2) === 'II' && bytes[2] === 42 && bytes[3] === 0) ||
+            (ascii(bytes, 0, 2) === 'MM' && bytes[2] === 0 && bytes[3] === 42)) return 'tiff';
+        if (ascii(bytes, 4, 4) === 'ftyp' && HEIF_BRANDS.includes(ascii(bytes, 8, 4))) return 'heic';
+        return null;
+    }
+
+    function isAcceptedFile(file) {
+        return !!file && (file.type === 'application/pdf' || ZIP_TYPES.includes(file.type) ||
+            (file.type || '').startsWith('image/') || EXTENSIONS.test(file.name || ''));
+    }
+
+    // Decoder libraries are injected into the calling frame by background.js on first use,
+    // in order (UTIF.js picks up pako for Deflate-compressed scans when it loads)
+    function loadDecoder(format) {
+        const decoder = FORMATS[format].decoder;
+        if (self[decoder.global]) return Promise.resolve();
+        return new Promise(function(resolve, reject) {
+            chrome.runtime.sendMessage({ action: 'loadDecoder', files: decoder.files }, function(response) {
+                if (chrome.runtime.lastError || !response || !response.success || !self[decoder.global]) {
+                    reject(formatError(ERRORS.DECODER_MISSING, format));
+                    return;
+                }
+                resolve();
+            });
+        });
+    }
+
+    function toCanvas(rgba, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(rgba.buffer, rgba.byteOffset, width * height * 4), width, height), 0, 0);
+        return canvas;
+    }
+
+    // Every page of a (multi-page) TIFF; reduced-size thumbnails are skipped
+    function decodeTiff(buffer) {
+        const UTIF = self.UTIF;
+        return UTIF.decode(buffer)
+            .filter(ifd => !(ifd.t254 && ifd.t254[0] & 1))
+            .map(function(ifd) {
+                UTIF.decodeImage(buffer, ifd);
+                return toCanvas(UTIF.toRGBA8(ifd), ifd.width, ifd.height);
+            })
+            .filter(canvas => canvas.width > 1 && canvas.height > 1);
+    }
+
+    function decodeHeic(buffer) {
+        return self.heic2any({ blob: new Blob([buffer], { type: FORMATS.heic.mime }), toType: 'image/jpeg', quality: 0.95 })
+            .then(function(result) {
+                return Promise.all([].concat(result).map(blob => createImageBitmap(blob)));
+            });
+    }
+
+    // Resolves to the pages of the image as drawable sources (ImageBitmap or canvas)
+    async function decode(buffer, format) {
+        const info = FORMATS[format];
+        if (!info || !(info.native || info.decoder)) throw formatError(ERRORS.UNSUPPORTED, format);
+        if (info.decoder) await loadDecoder(format);
+        try {
+            let pages;
+            if (format === 'tiff') pages = decodeTiff(buffer);
+            else if (format === 'heic') pages = await decodeHeic(buffer);
+            else pages = [await createImageBitmap(new Blob([buffer], { type: info.mime }))];
+            if (!pages.length) throw new Error('no image data');
+            return pages;
+        } catch (err) {
+            throw formatError(ERRORS.DECODE_FAILED, format, err);
+        }
+    }
+
+    // Short drop-zone status for a detect()/decode() failure
+    function describeError(err) {
+        const label = err && FORMATS[err.format] ? FORMATS[err.format].label : '';
+        if (err && err.code === ERRORS.DECODER_MISSING) return label + ' decoder not installed';
+        if (err && err.code === ERRORS.DECODE_FAILED) return 'Could not read ' + label + ' file';
+        return 'Unsupported file format';
+    }
+
+    return {
+        FORMATS,
+        HEADER_LENGTH,
+        ERRORS,
+        detect,
+        isAcceptedFile,
+        decode,
+        describeError,
+        formatError
+    };
+})();
+
+if (typeof self !== 'undefined') {
+    self.ImageFormats = ImageFormats;
+}
+}
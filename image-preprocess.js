@@ -0,0 +1,322 @@
+if (typeof self !== 'undefined' && self.ImagePreprocess) {
+    // Already loaded — skip
+} else {
+const ImagePreprocess = (function() {
+    'use strict';
+
+    // A passport data page is 125 mm wide; Tesseract reads best at about 300 DPI,
+    // so the longer side is brought to roughly that plus the margins of a phone photo
+    const TARGET_LONG_SIDE = 2000;
+    const MIN_SCALE = 0.5;
+    const MAX_SCALE = 3;
+
+    const ROTATIONS = [0, 90, 180, 270];
+    // A rotation scoring this high (out of 100) is taken without trying the others
+    const GOOD_MRZ_SCORE = 85;
+
+    const MAX_SKEW = 10;
+    const SKEW_SAMPLE_WIDTH = 600;
+
+    // Bradley–Roth adaptive threshold: darker than the local mean by this fraction is ink
+    const THRESHOLD_WINDOW_RATIO = 1 / 16;
+    const THRESHOLD_SENSITIVITY = 0.15;
+
+    // MRZ lines run across most of the page in same-height OCR-B characters
+    const MRZ_MIN_LINE_WIDTH = 0.6;
+    const MRZ_MIN_LINE_HEIGHT = 4;
+    const MRZ_LINE_HEIGHT_TOLERANCE = 0.35;
+    const MRZ_MAX_LINES = 3;
+    const TEXT_ROW_INK = 0.02;
+
+    /* ==================== PIXEL OPERATIONS ==================== */
+
+    // RGBA → one luminance byte per pixel (ITU-R BT.601)
+    function toGrayscale(rgba, width, height) {
+        const gray = new Uint8ClampedArray(width * height);
+        for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+            gray[i] = (rgba[p] * 299 + rgba[p + 1] * 587 + rgba[p + 2] * 114) / 1000;
+        }
+        return gray;
+    }
+
+    // Local mean via an integral image, so glare and shadows only shift the threshold locally
+    function adaptiveThreshold(gray, width, height, options) {
+        options = options || {};
+        const windowSize = Math.max(3, Math.round((options.windowSize || width * THRESHOLD_WINDOW_RATIO)) | 1);
+        const sensitivity = options.sensitivity !== undefined ? options.sensitivity : THRESHOLD_SENSITIVITY;
+        const half = windowSize >> 1;
+
+        const integral = new Float64Array((width + 1) * (height + 1));
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0;
+            for (let x = 0; x < width; x++) {
+                rowSum += gray[y * width + x];
+                integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+            }
+        }
+
+        const out = new Uint8ClampedArray(width * height);
+        for (let y = 0; y < height; y++) {
+            const y1 = Math.max(0, y - half), y2 = Math.min(height, y + half + 1);
+            for (let x = 0; x < width; x++) {
+                const x1 = Math.max(0, x - half), x2 = Math.min(width, x + half + 1);
+                const sum = integral[y2 * (width + 1) + x2] - integral[y1 * (width + 1) + x2] -
+                    integral[y2 * (width + 1) + x1] + integral[y1 * (width + 1) + x1];
+                const mean = sum / ((x2 - x1) * (y2 - y1));
+                out[y * width + x] = gray[y * width + x] < mean * (1 - sensitivity) ? 0 : 255;
+            }
+        }
+        return out;
+    }
+
+    // Text lines give the sharpest row profile when horizontal: the angle whose dark-pixel
+    // counts per row have the largest sum of squares is the skew (degrees, clockwise positive)
+    function estimateSkew(binary, width, height, maxAngle, step) {
+        maxAngle = maxAngle || MAX_SKEW;
+        const dark = [];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (binary[y * width + x] === 0) dark.push(x - width / 2, y - height / 2);
+            }
+        }
+        if (!dark.length) return 0;
+
+        function profileSharpness(angle) {
+            const rad = angle * Math.PI / 180;
+            const sin = Math.sin(rad), cos = Math.cos(rad);
+            const rows = new Map();
+            for (let i = 0; i < dark.length; i += 2) {
+                const row = Math.round(dark[i + 1] * cos - dark[i] * sin);
+                rows.set(row, (rows.get(row) || 0) + 1);
+            }
+            let sumSq = 0;
+            rows.forEach(function(count) { sumSq += count * count; });
+            return sumSq;
+        }
+
+        function search(from, to, by) {
+            let best = 0, bestScore = -Infinity;
+            for (let angle = from; angle <= to + 1e-9; angle += by) {
+                const score = profileSharpness(angle);
+                if (score > bestScore) { bestScore = score; best = angle; }
+            }
+            return best;
+        }
+
+        // Coarse pass by whole degrees, then refine around the best one
+        const coarse = search(-maxAngle, maxAngle, 1);
+        const fine = search(coarse - 1, coarse + 1, step || 0.25);
+        return Math.round(fine * 100) / 100;
+    }
+
+    // Text lines as runs of rows with ink, each with its horizontal extent
+    function findTextLines(binary, width, height) {
+        const lines = [];
+        let current = null;
+        for (let y = 0; y <= height; y++) {
+            let ink = 0, left = width, right = -1;
+            if (y < height) {
+                for (let x = 0; x < width; x++) {
+                    if (binary[y * width + x] === 0) {
+                        ink++;
+                        if (x < left) left = x;
+                        right = x;
+                    }
+                }
+            }
+            if (y < height && ink > width * TEXT_ROW_INK) {
+                if (!current) current = { top: y, bottom: y + 1, left: left, right: right + 1 };
+                current.bottom = y + 1;
+                current.left = Math.min(current.left, left);
+                current.right = Math.max(current.right, right + 1);
+            } else if (current) {
+                if (current.bottom - current.top >= MRZ_MIN_LINE_HEIGHT) lines.push(current);
+                current = null;
+            }
+        }
+        return lines;
+    }
+
+    // The MRZ is the bottom-most group of two or three wide lines of equal height, evenly
+    // spaced. Returns the band and its lines in pixel rows, or null when there is none.
+    function findMRZBand(binary, width, height) {
+        const lines = findTextLines(binary, width, height);
+        const isWide = line => line.right - line.left >= width * MRZ_MIN_LINE_WIDTH;
+
+        for (let end = lines.length - 1; end >= 1; end--) {
+            if (!isWide(lines[end])) continue;
+            const group = [lines[end]];
+            const lineHeight = lines[end].bottom - lines[end].top;
+            for (let i = end - 1; i >= 0 && group.length < MRZ_MAX_LINES; i--) {
+                const line = lines[i];
+                const gap = group[0].top - line.bottom;
+                const sameHeight = Math.abs((line.bottom - line.top) - lineHeight) <= lineHeight * MRZ_LINE_HEIGHT_TOLERANCE;
+                if (!isWide(line) || !sameHeight || gap > lineHeight * 1.5) break;
+                group.unshift(line);
+            }
+            if (group.length >= 2) {
+                return {
+                    top: group[0].top,
+                    bottom: group[group.length - 1].bottom,
+                    left: Math.min.apply(null, group.map(l => l.left)),
+                    right: Math.max.apply(null, group.map(l => l.right)),
+                    lines: group
+                };
+            }
+        }
+        return null;
+    }
+
+    function getScale(width, height) {
+        const scale = TARGET_LONG_SIDE / Math.max(width, height);
+        return Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+    }
+
+    /* ==================== CANVAS STEPS ==================== */
+
+    function createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width));
+        canvas.height = Math.max(1, Math.round(height));
+        return canvas;
+    }
+
+    function imageSize(image) {
+        return {
+            width: image.naturalWidth || image.videoWidth || image.width,
+            height: image.naturalHeight || image.videoHeight || image.height
+        };
+    }
+
+    function resize(image, scale) {
+        const size = imageSize(image);
+        const canvas = createCanvas(size.width * scale, size.height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    // Any angle, clockwise; the canvas grows to fit and new corners are filled white
+    function rotate(source, degrees) {
+        if (!degrees) return source;
+        const rad = degrees * Math.PI / 180;
+        const sin = Math.abs(Math.sin(rad)), cos = Math.abs(Math.cos(rad));
+        const canvas = createCanvas(source.width * cos + source.height * sin, source.width * sin + source.height * cos);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.translate(canvas.width / 2, canvas.height / 2);
+        ctx.rotate(rad);
+        ctx.drawImage(source, -source.width / 2, -source.height / 2);
+        return canvas;
+    }
+
+    function crop(source, x, y, width, height) {
+        const canvas = createCanvas(width, height);
+        canvas.getContext('2d').drawImage(source, x, y, width, height, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    function grayscale(source) {
+        const canvas = createCanvas(source.width, source.height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(source, 0, 0);
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        writeGray(imageData, toGrayscale(imageData.data, canvas.width, canvas.height));
+        ctx.putImageData(imageData, 0, 0);
+        return canvas;
+    }
+
+    function binarize(source) {
+        const canvas = createCanvas(source.width, source.height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(source, 0, 0);
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const gray = toGrayscale(imageData.data, canvas.width, canvas.height);
+        writeGray(imageData, adaptiveThreshold(gray, canvas.width, canvas.height));
+        ctx.putImageData(imageData, 0, 0);
+        return canvas;
+    }
+
+    function writeGray(imageData, gray) {
+        const data = imageData.data;
+        for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+            data[p] = data[p + 1] = data[p + 2] = gray[i];
+            data[p + 3] = 255;
+        }
+    }
+
+    function detectMRZBand(canvas) {
+        const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        const gray = toGrayscale(imageData.data, canvas.width, canvas.height);
+        for (let i = 0; i < gray.length; i++) gray[i] = gray[i] < 128 ? 0 : 255;
+        return findMRZBand(gray, canvas.width, canvas.height);
+    }
+
+    // Skew is measured on a small binarized copy; the result applies to the full image
+    function measureSkew(source) {
+        const scale = Math.min(1, SKEW_SAMPLE_WIDTH / source.width);
+        const sample = resize(source, scale);
+        const ctx = sample.getContext('2d');
+        const imageData = ctx.getImageData(0, 0, sample.width, sample.height);
+        const gray = toGrayscale(imageData.data, sample.width, sample.height);
+        return estimateSkew(adaptiveThreshold(gray, sample.width, sample.height), sample.width, sample.height);
+    }
+
+    /* ==================== PIPELINE ==================== */
+
+    // Resize → grayscale → orientation → deskew → binarize. `options.scoreRotation(canvas)`
+    // resolves to an MRZ score (0–100) and decides the orientation; without it the image
+    // is kept upright. With `options.debug` every intermediate canvas is returned in `steps`.
+    async function preprocess(image, options) {
+        options = options || {};
+        const steps = [];
+        const keep = function(name, canvas, detail) {
+            if (options.debug) steps.push({ name: name, canvas: canvas, detail: detail || '' });
+            return canvas;
+        };
+
+        const size = imageSize(image);
+        const scale = getScale(size.width, size.height);
+        let canvas = keep('resize', resize(image, scale), size.width + '×' + size.height + ' → ×' + scale.toFixed(2));
+        canvas = keep('grayscale', grayscale(canvas));
+
+        let rotation = 0;
+        if (options.scoreRotation) {
+            let bestScore = -1;
+            for (let i = 0; i < ROTATIONS.length; i++) {
+                const score = await options.scoreRotation(rotate(canvas, ROTATIONS[i]), ROTATIONS[i]);
+                if (score > bestScore) { bestScore = score; rotation = ROTATIONS[i]; }
+                if (score >= GOOD_MRZ_SCORE) break;
+            }
+            canvas = keep('rotate', rotate(canvas, rotation), rotation + '°, MRZ ' + bestScore);
+        }
+
+        const skew = measureSkew(canvas);
+        if (skew) canvas = rotate(canvas, -skew);
+        keep('deskew', canvas, skew + '°');
+
+        canvas = keep('binarize', binarize(canvas));
+        return { canvas: canvas, rotation: rotation, skew: skew, scale: scale, steps: steps };
+    }
+
+    return {
+        toGrayscale,
+        adaptiveThreshold,
+        estimateSkew,
+        findTextLines,
+        findMRZBand,
+        detectMRZBand,
+        getScale,
+        rotate,
+        crop,
+        preprocess,
+        ROTATIONS
+    };
+})();
+
+if (typeof self !== 'undefined') {
+    self.ImagePreprocess = ImagePreprocess;
+}
+}
@@ -0,0 +1,74 @@
+if (typeof self !== 'undefined' && self.OcrAssets) {
+    // Already loaded — skip
+} else {
+const OcrAssets = (function() {
+    'use strict';
+
+    // Tesseract.js 5 worker, WASM core and traineddata ship inside the extension
+    // (see BUILD.md), so OCR never reaches for the jsDelivr CDN
+    const BASE_DIR = 'lib/tesseract/';
+    const WORKER_FILE = 'worker.min.js';
+    const CORE_DIR = 'core';
+    const LANG_DIR = 'lang';
+
+    // eng — Latin print, captcha digits and the MRZ (held to the MRZ character set);
+    // kaz — Cyrillic visual zone, Kazakh and Russian alike (see BUILD.md)
+    const LANGS = ['eng', 'kaz'];
+
+    // The worker loads the LSTM-only build, SIMD when the browser supports it; the WASM is
+    // embedded in these scripts
+    const CORE_FILES = ['tesseract-core-lstm.wasm.js', 'tesseract-core-simd-lstm.wasm.js'];
+
+    const FILES = [WORKER_FILE]
+        .concat(CORE_FILES.map(f => CORE_DIR + '/' + f))
+        .concat(LANGS.map(lang => LANG_DIR + '/' + lang + '.traineddata.gz'));
+
+    function getURL(file) {
+        return chrome.runtime.getURL(BASE_DIR + file);
+    }
+
+    // Options for Tesseract.createWorker: every path points into the extension package.
+    // Language data is not cached in the page's IndexedDB — it is already local.
+    function getWorkerOptions() {
+        return {
+            workerPath: getURL(WORKER_FILE),
+            corePath: getURL(CORE_DIR),
+            langPath: getURL(LANG_DIR),
+            gzip: true,
+            cacheMethod: 'none'
+        };
+    }
+
+    let verified = null;
+
+    // Resolves to the list of bundled files that failed to load (empty when all are present).
+    // Checked once per page; the body is not read, only the response status.
+    function verify() {
+        if (!verified) {
+            verified = Promise.all(FILES.map(function(file) {
+                return fetch(getURL(file))
+                    .then(function(response) {
+                        if (response.body) response.body.cancel().catch(function() {});
+                        return response.ok ? null : file;
+                    })
+                    .catch(function() { return file; });
+            })).then(function(results) {
+                return results.filter(Boolean);
+            });
+        }
+        return verified;
+    }
+
+    return {
+        LANGS,
+        FILES,
+        BASE_DIR,
+        getWorkerOptions,
+        verify
+    };
+})();
+
+if (typeof self !== 'undefined') {
+    self.OcrAssets = OcrAssets;
+}
+}
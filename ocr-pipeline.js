@@ -0,0 +1,192 @@
+if (typeof self !== 'undefined' && self.OcrPipeline) {
+    // Already loaded — skip
+} else {
+const OcrPipeline = (function() {
+    'use strict';
+
+    // Passport OCR shared by the content script and the context-menu page: a pool of
+    // Tesseract workers, orientation by MRZ score, and the MRZ band and visual zone passes.
+    // Uses Tesseract, OcrAssets, ImagePreprocess and PassportParser, loaded before it.
+
+    function hasTesseract() {
+        if (typeof Tesseract !== 'undefined' && Tesseract.createWorker) return true;
+        if (typeof self !== 'undefined' && self.Tesseract && self.Tesseract.createWorker) return true;
+        if (typeof window !== 'undefined' && window.Tesseract && window.Tesseract.createWorker) return true;
+        return false;
+    }
+
+    // OCR runs only from the files bundled with the extension; without them Tesseract
+    // would download from a CDN, which agency networks often block
+    async function load() {
+        if (!hasTesseract()) return false;
+        const missing = await OcrAssets.verify();
+        if (missing.length) {
+            console.warn('[PassportAutoFill] Bundled OCR files missing:', missing.join(', '));
+            return false;
+        }
+        return true;
+    }
+
+    // Language model, page segmentation and Tesseract parameters per task; an empty
+    // whitelist clears the previous task's one. No OCR-B model ships, so the MRZ is read
+    // with eng held to the MRZ characters and checked by its check digits; Cyrillic is
+    // read with kaz, whose alphabet holds every Russian letter (BUILD.md).
+    const MRZ_WHITELIST = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789<';
+    const PROFILES = {
+        page: { lang: 'eng', psm: 'SINGLE_BLOCK', params: { tessedit_char_whitelist: '' } },
+        mrz: { lang: 'eng', psm: 'SINGLE_BLOCK', params: { tessedit_char_whitelist: MRZ_WHITELIST } },
+        mrzLine: { lang: 'eng', psm: 'SINGLE_LINE', params: { tessedit_char_whitelist: MRZ_WHITELIST } },
+        viz: { lang: 'kaz', psm: 'SINGLE_BLOCK', params: { tessedit_char_whitelist: '' } },
+        captcha: { lang: 'eng', psm: 'SINGLE_BLOCK', params: { tessedit_char_whitelist: '0123456789' } }
+    };
+    // Workers per language model; each one holds its models in memory
+    const POOL_SIZE = 2;
+    const POOL_IDLE_MS = 60000;
+
+    // Shared Tesseract workers: created on first use, reconfigured only when the task
+    // profile changes, and terminated after POOL_IDLE_MS without work. Every worker keeps
+    // one language, so jobs never wait for models to be reloaded.
+    const pool = {
+        slots: [],
+        queue: [],
+        idleTimer: null,
+
+        recognize: function(image, profile) {
+            return new Promise((resolve, reject) => {
+                this.queue.push({ image: image, profile: PROFILES[profile] ? profile : 'page', resolve: resolve, reject: reject });
+                this.next();
+            });
+        },
+
+        next: function() {
+            clearTimeout(this.idleTimer);
+            for (let i = 0; i < this.queue.length;) {
+                const job = this.queue[i];
+                const slot = this.pickSlot(PROFILES[job.profile].lang);
+                if (slot) {
+                    this.queue.splice(i, 1);
+                    this.run(slot, job);
+                } else {
+                    i++;
+                }
+            }
+            if (!this.slots.some(s => s.busy)) {
+                this.idleTimer = setTimeout(() => this.shutdown(), POOL_IDLE_MS);
+            }
+        },
+
+        // A free worker with the language, else a new one while the language has fewer
+        // than POOL_SIZE; otherwise the job waits
+        pickSlot: function(lang) {
+            const own = this.slots.filter(s => s.lang === lang);
+            const free = own.find(s => !s.busy);
+            if (free) return free;
+            if (own.length >= POOL_SIZE) return null;
+            const slot = { worker: null, lang: lang, profile: null, busy: false };
+            this.slots.push(slot);
+            return slot;
+        },
+
+        run: async function(slot, job) {
+            slot.busy = true;
+            try {
+                const profile = PROFILES[job.profile];
+                if (!slot.worker) {
+                    slot.worker = await Tesseract.createWorker(slot.lang, Tesseract.OEM.LSTM_ONLY, OcrAssets.getWorkerOptions());
+                }
+                if (slot.profile !== job.profile) {
+                    await slot.worker.setParameters({ tessedit_pageseg_mode: Tesseract.PSM[profile.psm], ...profile.params });
+                    slot.profile = job.profile;
+                }
+                const { data: { text } } = await slot.worker.recognize(job.image);
+                job.resolve(text);
+            } catch (err) {
+                job.reject(err);
+                // A failed worker may be half-initialised: drop it and start fresh next time
+                this.slots = this.slots.filter(s => s !== slot);
+                if (slot.worker) slot.worker.terminate().catch(function() {});
+            }
+            slot.busy = false;
+            this.next();
+        },
+
+        shutdown: function() {
+            const idle = this.slots.filter(s => !s.busy);
+            this.slots = this.slots.filter(s => s.busy);
+            idle.forEach(function(slot) {
+                if (slot.worker) slot.worker.terminate().catch(function() {});
+            });
+        }
+    };
+
+    // Text of an image or canvas read with one of PROFILES (default 'page')
+    async function recognize(imageOrCanvas, profile) {
+        const loaded = await load();
+        if (!loaded) throw new Error('OCR engine not available');
+        return pool.recognize(imageOrCanvas, profile || 'page');
+    }
+
+    // Share of the page height, from the bottom, where a passport's MRZ sits when upright
+    const MRZ_BAND_RATIO = 0.3;
+
+    // Resize, grayscale, orientation, deskew and binarize (ImagePreprocess.preprocess). The
+    // orientation is the one whose bottom band reads best as an MRZ; `options.upright`
+    // images (rendered PDF pages, which pdf.js already turns by the page rotation) skip that
+    // search, which costs up to four MRZ reads on pages without one. `options.debug` keeps
+    // every step.
+    async function preprocess(image, options) {
+        options = options || {};
+        if (!(await load())) throw new Error('OCR engine not available');
+        return ImagePreprocess.preprocess(image, {
+            debug: !!options.debug,
+            scoreRotation: options.upright ? null : async function(canvas) {
+                const bandHeight = canvas.height * MRZ_BAND_RATIO;
+                const band = ImagePreprocess.crop(canvas, 0, canvas.height - bandHeight, canvas.width, bandHeight);
+                return PassportParser.scoreMRZText(await recognize(band, 'mrz'));
+            }
+        });
+    }
+
+    // Rows of padding kept around each MRZ line, relative to the line height
+    const MRZ_LINE_PADDING = 0.3;
+
+    // The full page is read for the visual zone; the MRZ band, when found, is read again line
+    // by line with the MRZ profile. A band that parses as an MRZ goes first, so the parser takes
+    // it over the noisier full-page copy of the same lines. The visual zone above the band is
+    // also read with the Cyrillic profile and appended, for the Cyrillic names.
+    async function readPassportPage(canvas) {
+        const band = ImagePreprocess.detectMRZBand(canvas);
+        const vizImage = band && band.top > 0 ? ImagePreprocess.crop(canvas, 0, 0, canvas.width, band.top) : canvas;
+        const pageText = Promise.all([recognize(canvas), recognize(vizImage, 'viz')])
+            .then(texts => texts.join('\n'));
+        if (!band) return pageText;
+
+        const lineReads = Promise.all(band.lines.map(function(line) {
+            const pad = Math.round((line.bottom - line.top) * MRZ_LINE_PADDING);
+            const top = Math.max(0, line.top - pad);
+            const left = Math.max(0, band.left - pad);
+            const image = ImagePreprocess.crop(canvas, left, top,
+                Math.min(canvas.width, band.right + pad) - left, Math.min(canvas.height, line.bottom + pad) - top);
+            return recognize(image, 'mrzLine');
+        }));
+        // Awaited together, so a failed line read does not leave the page read unhandled
+        const [lineTexts, text] = await Promise.all([lineReads, pageText]);
+        const mrzText = lineTexts.map(line => line.replace(/\s+/g, '')).join('\n');
+        const mrz = PassportParser.parseMRZ(mrzText);
+        return (mrz && mrz.format ? mrzText + '\n' : '') + text;
+    }
+
+    return {
+        PROFILES,
+        POOL_SIZE,
+        load,
+        recognize,
+        preprocess,
+        readPassportPage
+    };
+})();
+
+if (typeof self !== 'undefined') {
+    self.OcrPipeline = OcrPipeline;
+}
+}
@@ -0,0 +1,188 @@
+// Passport photo opened from the "Parse passport" context menu (see background.js).
+// Query: src — image URL, tab/frame — where the image was clicked.
+(function() {
+    'use strict';
+
+    var params = new URLSearchParams(location.search);
+    var source = {
+        src: params.get('src') || '',
+        tabId: parseInt(params.get('tab'), 10),
+        frameId: parseInt(params.get('frame'), 10) || 0
+    };
+    var parsed = null;
+
+    function setStatus(text, type) {
+        var el = document.getElementById('status');
+        el.className = 'status ' + type;
+        el.textContent = text;
+    }
+
+    function blobToDataURL(blob) {
+        return new Promise(function(resolve, reject) {
+            var reader = new FileReader();
+            reader.onload = function() { resolve(reader.result); };
+            reader.onerror = function() { reject(reader.error); };
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // Runs inside the clicked frame: the page's cookies and blob: URLs apply there
+    function fetchImageInPage(src) {
+        return fetch(src, { credentials: 'include' })
+            .then(function(response) {
+                if (!response.ok) throw new Error('HTTP ' + response.status);
+                return response.blob();
+            })
+            .then(function(blob) {
+                return new Promise(function(resolve, reject) {
+                    var reader = new FileReader();
+                    reader.onload = function() { resolve(reader.result); };
+                    reader.onerror = function() { reject(reader.error); };
+                    reader.readAsDataURL(blob);
+                });
+            })
+            .catch(function() { return null; });
+    }
+
+    // The context-menu click grants activeTab, so the image is read in its own page first;
+    // a direct fetch covers data: URLs and hosts the extension already has access to
+    function readImage() {
+        return new Promise(function(resolve) {
+            if (isNaN(source.tabId) || !chrome.scripting) { resolve(null); return; }
+            chrome.scripting.executeScript({
+                target: { tabId: source.tabId, frameIds: [source.frameId] },
+                func: fetchImageInPage,
+                args: [source.src]
+            }, function(results) {
+                if (chrome.runtime.lastError) { resolve(null); return; }
+                resolve(results && results[0] && results[0].result || null);
+            });
+        }).then(function(dataUrl) {
+            if (dataUrl) return dataUrl;
+            return fetch(source.src).then(function(response) {
+                if (!response.ok) throw new Error('HTTP ' + response.status);
+                return response.blob();
+            }).then(blobToDataURL);
+        });
+    }
+
+    function loadImage(dataUrl) {
+        var img = document.getElementById('sourceImage');
+        return new Promise(function(resolve, reject) {
+            img.onload = function() { resolve(img); };
+            img.onerror = function() { reject(new Error(t('image_unavailable'))); };
+            img.src = dataUrl;
+            img.hidden = false;
+        });
+    }
+
+    async function recognize(img) {
+        var prepared = await OcrPipeline.preprocess(img);
+        return OcrPipeline.readPassportPage(prepared.canvas);
+    }
+
+    function renderResult(data) {
+        var rows = [
+            ['surname', data.surname],
+            ['given_name', data.name],
+            ['passport_n', data.number],
+            ['IIN', data.iin],
+            ['birth_date', data.birthDate],
+            ['valid_until', data.validDate],
+            ['gender', data.gender === '1' ? t('male') : data.gender === '0' ? t('female') : '']
+        ];
+        var html = '<dl>' + rows.map(function(row) {
+            return '<dt>' + Utils.escapeHtml(t(row[0])) + '</dt><dd>' + Utils.escapeHtml(row[1] || '-') + '</dd>';
+        }).join('') + '</dl>';
+        var issues = data.errors.concat(data.warnings);
+        if (issues.length) html += '<div class="issues">' + Utils.escapeHtml(issues.map(formatIssue).join('; ')) + '</div>';
+        document.getElementById('result').innerHTML = html;
+    }
+
+    function saveAsTemplate() {
+        var name = document.getElementById('templateName').value.trim();
+        if (!name) { setStatus(t('template_name_required'), 'error'); return; }
+
+        chrome.storage.local.get(['defaultEmail', 'defaultPhone'], function(defaults) {
+            var template = Object.assign({ id: 'tpl_' + Date.now(), name: name }, PassportParser.toTemplate(parsed), {
+                email: defaults.defaultEmail || '',
+                phone: defaults.defaultPhone || ''
+            });
+            chrome.runtime.sendMessage({ action: 'saveTemplate', template: template }, function(res) {
+                if (res && res.success) setStatus(t('template_saved'), 'success');
+                else setStatus('Save failed: ' + (res ? res.error : 'unknown'), 'error');
+            });
+        });
+    }
+
+    // Tourist blocks of every open tab where the content script runs
+    function findTouristTargets(callback) {
+        chrome.tabs.query({}, function(tabs) {
+            var targets = [];
+            var pending = tabs.length;
+            if (!pending) { callback(targets); return; }
+            tabs.forEach(function(tab) {
+                chrome.tabs.sendMessage(tab.id, { action: 'getTouristBlocks' }, function(res) {
+                    void chrome.runtime.lastError;
+                    ((res && res.tourists) || []).forEach(function(tourist) {
+                        targets.push({ tabId: tab.id, index: tourist.index, label: (tab.title || tab.url) + ' — ' + tourist.label });
+                    });
+                    if (--pending === 0) callback(targets);
+                });
+            });
+        });
+    }
+
+    function renderTouristTargets() {
+        var select = document.getElementById('touristTarget');
+        var button = document.getElementById('sendToTouristBtn');
+        findTouristTargets(function(targets) {
+            select.innerHTML = targets.length
+                ? targets.map(function(target, i) {
+                    return '<option value="' + i + '">' + Utils.escapeHtml(target.label) + '</option>';
+                }).join('')
+                : '<option value="">' + Utils.escapeHtml(t('no_booking_tabs')) + '</option>';
+            select.disabled = !targets.length;
+            button.disabled = !targets.length;
+            button.onclick = function() { sendToTourist(targets[select.value]); };
+        });
+    }
+
+    function sendToTourist(target) {
+        if (!target) return;
+        chrome.tabs.sendMessage(target.tabId, { action: 'fillParsed', data: parsed, touristIndex: target.index }, function(res) {
+            if (chrome.runtime.lastError || !res || !res.success) {
+                setStatus(t('no_form'), 'error');
+                return;
+            }
+            setStatus(t('data_sent'), 'success');
+            chrome.tabs.update(target.tabId, { active: true });
+        });
+    }
+
+    async function init() {
+        applyTranslations();
+        document.getElementById('saveTemplateBtn').addEventListener('click', saveAsTemplate);
+
+        try {
+            var img = await loadImage(await readImage());
+            setStatus(t('recognizing'), 'info');
+            parsed = PassportParser.parse(await recognize(img));
+        } catch (err) {
+            console.error('[PassportAutoFill] Context menu parse error:', err);
+            setStatus(err.message || t('image_unavailable'), 'error');
+            return;
+        }
+
+        renderResult(parsed);
+        setStatus(parsed.isValid ? t('parse_done') : t('parse_check'), parsed.isValid ? 'success' : 'warning');
+        document.getElementById('templateName').value = [parsed.surname, parsed.name].filter(Boolean).join(' ');
+        document.getElementById('actions').classList.add('show');
+        renderTouristTargets();
+    }
+
+    loadStoredLang(function(lang) {
+        document.documentElement.lang = lang;
+        init();
+    });
+})();
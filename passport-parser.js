@@ -3,12 +3,187 @@ if (typeof self !== 'undefined' && self.PassportParser) {
 } else {
 const PassportParser = (function() {
     const BLACKLIST_WORDS = [
-        'PASSPORT', 'CODE', 'STATE', 'KAZ', 'SURNAME', 'GIVEN', 'NAMES',
+        'PASSPORT', 'CODE', 'STATE', 'SURNAME', 'GIVEN', 'NAMES',
         'NATIONALITY', 'DATE', 'BIRTH', 'SEX', 'PLACE', 'ISSUE', 'EXPIRY',
-        'AUTHORITY', 'MINISTRY', 'INTERNAL', 'AFFAIRS', 'REPUBLIC', 'KAZAKHSTAN',
+        'AUTHORITY', 'MINISTRY', 'INTERNAL', 'AFFAIRS', 'REPUBLIC',
         'ID', 'MRZ', 'DOCUMENT', 'TYPE', 'OF', 'THE'
     ];
 
+    // Per issuing state (ICAO code) passport conventions. `number` matches the
+    // visual zone, `split` turns a raw number into { pserie, number } for the booking form.
+    const ISSUING_STATES = {
+        'KAZ': {
+            detect: /KAZAKHSTAN|ҚАЗАҚСТАН|КАЗАХСТАН/,
+            number: /N\s?(\d{8,9})/,
+            split: function(raw) { return { pserie: '', number: /^\d{8}$/.test(raw) ? 'N' + raw : raw }; },
+            authority: 'MIA OF KAZAKHSTAN',
+            words: ['KAZ', 'KAZAKHSTAN']
+        },
+        'RUS': {
+            detect: /RUSSIAN FEDERATION|РОССИЙСКАЯ ФЕДЕРАЦИЯ/,
+            number: /\b(\d{2}\s?\d{7})\b/,
+            split: function(raw) { return { pserie: raw.substring(0, 2), number: raw.substring(2) }; },
+            authority: 'MIA OF RUSSIA',
+            words: ['RUS', 'RUSSIAN', 'FEDERATION']
+        },
+        'UZB': {
+            detect: /UZBEKISTAN|O'ZBEKISTON|УЗБЕКИСТАН/,
+            number: /\b([A-Z]{2}\s?\d{7})\b/,
+            split: function(raw) { return { pserie: raw.substring(0, 2), number: raw.substring(2) }; },
+            authority: 'MIA OF UZBEKISTAN',
+            words: ['UZB', 'UZBEKISTAN']
+        },
+        'KGZ': {
+            detect: /KYRGYZ|КЫРГЫЗ/,
+            number: /\b([A-Z]{2}\s?\d{7})\b/,
+            split: function(raw) { return { pserie: raw.substring(0, 2), number: raw.substring(2) }; },
+            authority: 'SRS OF KYRGYZSTAN',
+            words: ['KGZ', 'KYRGYZ', 'KYRGYZSTAN']
+        }
+    };
+    const DEFAULT_ISSUING_STATE = 'KAZ';
+    const GENERIC_ISSUING_STATE = {
+        number: null,
+        split: function(raw) { return { pserie: '', number: raw }; },
+        authority: '',
+        words: []
+    };
+
+    // Field confidence scores (0..1) reported by parse()
+    const CONFIDENCE = {
+        MRZ_CHECKED: 1,
+        IIN: 0.9,
+        MRZ_VERIFIED: 0.85,
+        VIZ_LABEL: 0.7,
+        MRZ_UNVERIFIED: 0.6,
+        TEXT: 0.5,
+        MRZ_FAILED: 0.2
+    };
+
+    // Where a field value came from: MRZ lines, labelled visual zone, IIN digits,
+    // unstructured recognised text, or an edit by the agent
+    const SOURCES = { MRZ: 'mrz', VIZ: 'viz', IIN: 'iin', OCR: 'ocr', MANUAL: 'manual' };
+    const PROVENANCE_FIELDS = ['surname', 'name', 'number', 'birthDate', 'issueDate', 'validDate', 'iin', 'gender', 'nationality', 'authority'];
+
+    // Stable issue codes reported as { code, params }; i18n.js renders them in the UI language
+    const ISSUES = {
+        NUMBER_NOT_FOUND: 'NUMBER_NOT_FOUND',
+        BIRTH_DATE_NOT_FOUND: 'BIRTH_DATE_NOT_FOUND',
+        SURNAME_NOT_FOUND: 'SURNAME_NOT_FOUND',
+        NAME_NOT_FOUND: 'NAME_NOT_FOUND',
+        IIN_NOT_FOUND: 'IIN_NOT_FOUND',
+        IIN_CHECKSUM_FAILED: 'IIN_CHECKSUM_FAILED',
+        MRZ_CHECK_FAILED: 'MRZ_CHECK_FAILED',
+        MRZ_CORRECTED: 'MRZ_CORRECTED',
+        MRZ_CENTURY_MISMATCH: 'MRZ_CENTURY_MISMATCH',
+        SOURCES_DISAGREE: 'SOURCES_DISAGREE',
+        FIELD_MISSING: 'FIELD_MISSING',
+        FIELD_TOO_SHORT: 'FIELD_TOO_SHORT',
+        EXPIRY_MISSING: 'EXPIRY_MISSING',
+        EXPIRY_INVALID: 'EXPIRY_INVALID',
+        PASSPORT_EXPIRED: 'PASSPORT_EXPIRED',
+        EXPIRES_SOON: 'EXPIRES_SOON',
+        EXPIRY_TOO_SOON_FOR_COUNTRY: 'EXPIRY_TOO_SOON_FOR_COUNTRY',
+        EXPIRY_OK: 'EXPIRY_OK',
+        EXPIRY_OK_FOR_COUNTRY: 'EXPIRY_OK_FOR_COUNTRY',
+        PASSPORT_TOO_OLD: 'PASSPORT_TOO_OLD',
+        ISSUE_DATE_UNKNOWN: 'ISSUE_DATE_UNKNOWN',
+        BLANK_PAGES_REQUIRED: 'BLANK_PAGES_REQUIRED',
+        COUNTRY_NOTE: 'COUNTRY_NOTE',
+        VISA_NOT_REQUIRED: 'VISA_NOT_REQUIRED',
+        VISA_FREE: 'VISA_FREE',
+        VISA_FREE_STAY_EXCEEDED: 'VISA_FREE_STAY_EXCEEDED',
+        VISA_ON_ARRIVAL: 'VISA_ON_ARRIVAL',
+        EVISA_REQUIRED: 'EVISA_REQUIRED',
+        VISA_REQUIRED: 'VISA_REQUIRED',
+        VISA_UNKNOWN: 'VISA_UNKNOWN',
+        CYRILLIC_NAME_MISMATCH: 'CYRILLIC_NAME_MISMATCH'
+    };
+
+    function issue(code, params) {
+        return { code: code, params: params || {} };
+    }
+
+    const MRZ_WEIGHTS = [7, 3, 1];
+
+    // Typical Tesseract confusions, applied according to the field's character class
+    const DIGIT_FIXES = { 'O': '0', 'Q': '0', 'D': '0', 'I': '1', 'L': '1', 'Z': '2', 'S': '5', 'G': '6', 'B': '8' };
+    const ALPHA_FIXES = { '0': 'O', '1': 'I', '2': 'Z', '5': 'S', '6': 'G', '8': 'B' };
+    const MAX_AMBIGUOUS_CHARS = 12;
+    const MAX_SUBSTITUTIONS = 2;
+
+    // TD3 line 2 field layout (ICAO 9303 part 4)
+    const TD3_LINE2_FIELDS = [
+        { field: 'number', start: 0, length: 9, type: 'alnum', check: 9 },
+        { field: 'nationality', start: 10, length: 3, type: 'alpha' },
+        { field: 'birthDate', start: 13, length: 6, type: 'digit', check: 19 },
+        { field: 'gender', start: 20, length: 1, type: 'sex' },
+        { field: 'validDate', start: 21, length: 6, type: 'digit', check: 27 },
+        { field: 'optional', start: 28, length: 14, type: 'alnum', check: 42 }
+    ];
+    const TD3_COMPOSITE = { ranges: [[0, 10], [13, 20], [21, 43]], check: 43 };
+
+    // TD2 line 2 (2x36)
+    const TD2_LINE2_FIELDS = [
+        { field: 'number', start: 0, length: 9, type: 'alnum', check: 9 },
+        { field: 'nationality', start: 10, length: 3, type: 'alpha' },
+        { field: 'birthDate', start: 13, length: 6, type: 'digit', check: 19 },
+        { field: 'gender', start: 20, length: 1, type: 'sex' },
+        { field: 'validDate', start: 21, length: 6, type: 'digit', check: 27 },
+        { field: 'optional', start: 28, length: 7, type: 'alnum' }
+    ];
+    const TD2_COMPOSITE = { ranges: [[0, 10], [13, 20], [21, 35]], check: 35 };
+
+    // TD1 lines 1 and 2 (3x30) joined into one 60-char string: the composite spans both
+    const TD1_FIELDS = [
+        { field: 'issuingState', start: 2, length: 3, type: 'alpha' },
+        { field: 'number', start: 5, length: 9, type: 'alnum', check: 14 },
+        { field: 'optional', start: 15, length: 15, type: 'alnum' },
+        { field: 'birthDate', start: 30, length: 6, type: 'digit', check: 36 },
+        { field: 'gender', start: 37, length: 1, type: 'sex' },
+        { field: 'validDate', start: 38, length: 6, type: 'digit', check: 44 },
+        { field: 'nationality', start: 45, length: 3, type: 'alpha' },
+        { field: 'optional2', start: 48, length: 11, type: 'alnum' }
+    ];
+    const TD1_COMPOSITE = { ranges: [[5, 30], [30, 37], [38, 45], [48, 59]], check: 59 };
+
+    const MRZ_LINE_REGEX = /^[A-Z0-9<]+$/;
+
+    // Visual inspection zone captions (Kazakh, Russian, Uzbek, Kyrgyz, English).
+    // `kind` selects how the value next to the caption is read.
+    const VIZ_LABELS = [
+        { field: 'surname', kind: 'latin', pattern: /(?<!\p{L})(?:тегі|фамилия|familiyasi|surname)(?!\p{L})/iu },
+        { field: 'name', kind: 'latin', pattern: /(?<!\p{L})(?:аты|имя|ismi|given\s+names?)(?!\p{L})/iu },
+        { field: 'number', kind: 'number', pattern: /(?<!\p{L})(?:паспорт\s+нөмірі|номер\s+паспорта|pasport\s+raqami|passport\s+no\.?|паспорт\s*№)/iu },
+        { field: 'gender', kind: 'gender', pattern: /(?<!\p{L})(?:жынысы|пол|jinsi|sex)(?!\p{L})/iu },
+        { field: 'birthDate', kind: 'date', pattern: /туған\s+күні|дата\s+рождения|date\s+of\s+birth|tug'?ilgan\s+sana(?:si)?|туулган\s+күнү/i },
+        { field: 'issueDate', kind: 'date', pattern: /берілген\s+күні|дата\s+выдачи|date\s+of\s+issue|berilgan\s+sana(?:si)?|берилген\s+күнү/i },
+        { field: 'validDate', kind: 'date', pattern: /жарамдылық\s+мерзімі|қолданылу\s+мерзімі|(?:дата\s+окончания\s+)?срока?\s+действия|действителен\s+до|date\s+of\s+expiry|amal\s+qilish\s+muddati|жарактуу\s+мөөнөтү/i },
+        { field: 'authority', kind: 'text', pattern: /(?<!\p{L})(?:берген\s+орган|органы?(?:,?\s+выдавший\s+документ)?|(?:issuing\s+)?authority|berilgan\s+joy)(?!\p{L})/iu }
+    ];
+    // Names are also read in Cyrillic, from the rus+kaz OCR pass over the same captions
+    const VIZ_CYRILLIC_FIELDS = { surname: 'surnameCyrillic', name: 'nameCyrillic' };
+
+    // ICAO Doc 9303 transliteration (Russian and Kazakh letters), used to cross-check the
+    // Cyrillic names against the Latin ones
+    const CYRILLIC_TO_LATIN = {
+        'А': 'A', 'Б': 'B', 'В': 'V', 'Г': 'G', 'Д': 'D', 'Е': 'E', 'Ё': 'E', 'Ж': 'ZH', 'З': 'Z', 'И': 'I',
+        'Й': 'I', 'К': 'K', 'Л': 'L', 'М': 'M', 'Н': 'N', 'О': 'O', 'П': 'P', 'Р': 'R', 'С': 'S', 'Т': 'T',
+        'У': 'U', 'Ф': 'F', 'Х': 'KH', 'Ц': 'TS', 'Ч': 'CH', 'Ш': 'SH', 'Щ': 'SHCH', 'Ъ': 'IE', 'Ы': 'Y',
+        'Ь': '', 'Э': 'E', 'Ю': 'IU', 'Я': 'IA',
+        'Ә': 'A', 'Ғ': 'G', 'Қ': 'K', 'Ң': 'N', 'Ө': 'O', 'Ұ': 'U', 'Ү': 'U', 'Һ': 'H', 'І': 'I'
+    };
+    // Spellings that differ between transliteration systems and older passports
+    // (YU/IU, KH/H, J/ZH, doubled letters) are folded before comparing
+    const LATIN_VARIANTS = [
+        [/[^A-Z]/g, ''], [/KH/g, 'H'], [/J|DZH/g, 'ZH'], [/[IY](?=[AEOU])/g, ''], [/Y/g, 'I'], [/(.)\1+/g, '$1']
+    ];
+
+    // Captions of fields that are not read; their lines are never taken as values
+    const VIZ_OTHER_LABELS = /^(?:nationality|азаматтығы|гражданство|place\s+of\s+birth|туған\s+жері|место\s+рождения|type|code)(?=[\s/:.]|$)/i;
+    const VIZ_DATE_REGEX = /(\d{2})[./](\d{2})[./](\d{4})/g;
+    const VIZ_LOOKAHEAD_LINES = 3;
+
     function validateIIN(iin) {
         if (!iin || iin.length !== 12 || !/^\d{12}$/.test(iin)) {
             return false;
@@ -88,22 +263,245 @@ const PassportParser = (function() {
         };
     }
 
+    function mrzCharValue(c) {
+        if (c >= '0' && c <= '9') return c.charCodeAt(0) - 48;
+        if (c >= 'A' && c <= 'Z') return c.charCodeAt(0) - 55;
+        return 0; // '<' filler
+    }
+
+    // ICAO 9303 check digit: weights 7-3-1, sum modulo 10
+    function computeCheckDigit(field) {
+        let sum = 0;
+        for (let i = 0; i < field.length; i++) {
+            sum += mrzCharValue(field[i]) * MRZ_WEIGHTS[i % 3];
+        }
+        return sum % 10;
+    }
+
+    // true/false, or null when the check digit is not present at all
+    function verifyCheckDigit(field, digit) {
+        if (!field || !digit) return null;
+        // Unused optional data may carry a filler instead of 0
+        if (digit === '<') return /^<*$/.test(field);
+        if (!/^\d$/.test(digit)) return false;
+        return computeCheckDigit(field) === parseInt(digit);
+    }
+
+    function isMRZVerified(checks) {
+        if (!checks) return false;
+        return ['number', 'birthDate', 'validDate', 'composite'].every(k => checks[k] === true);
+    }
+
+    function checkConfidence(check, verified) {
+        if (check === true) return CONFIDENCE.MRZ_CHECKED;
+        if (check === false) return CONFIDENCE.MRZ_FAILED;
+        return verified ? CONFIDENCE.MRZ_VERIFIED : CONFIDENCE.MRZ_UNVERIFIED;
+    }
+
+    function scoreMRZ(mrzData) {
+        const checks = mrzData.checks || {};
+        const verified = isMRZVerified(checks);
+        // Name, nationality and sex are not covered by any check digit
+        const uncovered = verified ? CONFIDENCE.MRZ_VERIFIED : CONFIDENCE.MRZ_UNVERIFIED;
+
+        return {
+            verified,
+            confidence: {
+                surname: uncovered,
+                name: uncovered,
+                nationality: uncovered,
+                gender: uncovered,
+                number: checkConfidence(checks.number, verified),
+                birthDate: checkConfidence(checks.birthDate, verified),
+                validDate: checkConfidence(checks.validDate, verified)
+            }
+        };
+    }
+
+    /* ==================== MRZ OCR CORRECTION ==================== */
+
+    function normalizeMRZLine(line) {
+        const trimmed = line.trim();
+        if (!/[<«‹]/.test(trimmed)) return trimmed;
+        return trimmed.toUpperCase().replace(/[«‹]/g, '<').replace(/\s+/g, '');
+    }
+
+    function mapChars(value, fixes) {
+        return value.split('').map(c => fixes[c] || c).join('');
+    }
+
+    // Variants of an alphanumeric field with up to MAX_SUBSTITUTIONS swaps, fewest first
+    function alnumCandidates(value) {
+        const positions = [];
+        for (let i = 0; i < value.length && positions.length < MAX_AMBIGUOUS_CHARS; i++) {
+            const swap = DIGIT_FIXES[value[i]] || ALPHA_FIXES[value[i]];
+            if (swap) positions.push({ index: i, swap: swap });
+        }
+
+        const candidates = [];
+        for (let mask = 1; mask < (1 << positions.length); mask++) {
+            const chars = value.split('');
+            let changes = 0;
+            positions.forEach(function(p, bit) {
+                if (mask & (1 << bit)) { chars[p.index] = p.swap; changes++; }
+            });
+            if (changes <= MAX_SUBSTITUTIONS) candidates.push({ value: chars.join(''), changes: changes });
+        }
+        return candidates.sort((a, b) => a.changes - b.changes);
+    }
+
+    // Trailing filler is often read as K: "ANNA<<K<<KK" -> "ANNA<<<<<<<"
+    function fixFillerRun(value) {
+        return value.replace(/<[<K]*$/, m => m.replace(/K/g, '<'));
+    }
+
+    /**
+     * Resolve one field. `value` is the best guess; `alternatives` holds other
+     * equally cheap variants that pass the check digit, left for the composite.
+     */
+    function correctField(value, spec, checkDigit) {
+        let base = value;
+        if (spec.type === 'digit') base = mapChars(value, DIGIT_FIXES);
+        else if (spec.type === 'alpha') base = mapChars(value, ALPHA_FIXES);
+        else if (spec.type === 'alnum') base = fixFillerRun(value);
+
+        if (spec.type !== 'alnum' || spec.check === undefined || verifyCheckDigit(base, checkDigit) !== false) {
+            return { value: base, alternatives: [] };
+        }
+
+        const passing = alnumCandidates(base).filter(c => verifyCheckDigit(c.value, checkDigit) === true);
+        if (!passing.length) return { value: base, alternatives: [] };
+
+        const cheapest = passing.filter(c => c.changes === passing[0].changes).map(c => c.value);
+        if (cheapest.length === 1) return { value: cheapest[0], alternatives: [] };
+        return { value: base, alternatives: cheapest };
+    }
+
+    function compositeOf(chars, composite) {
+        return composite.ranges.map(r => chars.slice(r[0], r[1]).join('')).join('');
+    }
+
+    function compositePasses(chars, composite) {
+        return verifyCheckDigit(compositeOf(chars, composite), chars[composite.check]) === true;
+    }
+
+    /**
+     * Fix OCR confusions in one MRZ line using the field character classes
+     * and check digits. Ambiguous fixes are applied only when the composite
+     * check digit singles out one of them. Returns the line and the changes.
+     */
+    function correctMRZLine(line, fields, composite) {
+        const chars = line.split('');
+        const ambiguous = [];
+
+        fields.forEach(function(spec) {
+            if (line.length < spec.start + spec.length) return;
+            if (spec.check !== undefined && chars[spec.check] && chars[spec.check] !== '<') {
+                chars[spec.check] = DIGIT_FIXES[chars[spec.check]] || chars[spec.check];
+            }
+            const result = correctField(line.substr(spec.start, spec.length), spec, chars[spec.check]);
+            chars.splice(spec.start, spec.length, ...result.value.split(''));
+            if (result.alternatives.length) ambiguous.push({ spec: spec, alternatives: result.alternatives });
+        });
+
+        if (composite && chars[composite.check]) {
+            chars[composite.check] = DIGIT_FIXES[chars[composite.check]] || chars[composite.check];
+            ambiguous.forEach(function(o) {
+                const fits = o.alternatives.filter(function(candidate) {
+                    const trial = chars.slice();
+                    trial.splice(o.spec.start, o.spec.length, ...candidate.split(''));
+                    return compositePasses(trial, composite);
+                });
+                if (fits.length === 1) chars.splice(o.spec.start, o.spec.length, ...fits[0].split(''));
+            });
+        }
+
+        const corrected = chars.join('');
+        const corrections = [];
+        fields.forEach(function(spec) {
+            const end = spec.check !== undefined ? spec.check + 1 : spec.start + spec.length;
+            const from = line.substring(spec.start, end);
+            const to = corrected.substring(spec.start, end);
+            if (from !== to) corrections.push({ field: spec.field, from: from, to: to });
+        });
+        if (composite && line[composite.check] !== corrected[composite.check]) {
+            corrections.push({ field: 'composite', from: line[composite.check], to: corrected[composite.check] });
+        }
+
+        return { line: corrected, corrections: corrections };
+    }
+
+    function correctNameField(value) {
+        return fixFillerRun(mapChars(value, ALPHA_FIXES));
+    }
+
+    // `start` is where the alphabetic part begins (issuing state + name)
+    function correctNameLine(line, start) {
+        const head = line.substring(0, start).replace(/^PK/, 'P<');
+        const corrected = head + correctNameField(line.substring(start));
+        return {
+            line: corrected,
+            corrections: corrected !== line ? [{ field: 'nameLine', from: line, to: corrected }] : []
+        };
+    }
+
+    function correctTD3(line1, line2) {
+        const name = correctNameLine(line1, 2);
+        const data = correctMRZLine(line2, TD3_LINE2_FIELDS, TD3_COMPOSITE);
+        return { lines: [name.line, data.line], corrections: name.corrections.concat(data.corrections) };
+    }
+
+    function correctTD2(line1, line2) {
+        const name = correctNameLine(line1, 2);
+        const data = correctMRZLine(line2, TD2_LINE2_FIELDS, TD2_COMPOSITE);
+        return { lines: [name.line, data.line], corrections: name.corrections.concat(data.corrections) };
+    }
+
+    function correctTD1(line1, line2, line3) {
+        const data = correctMRZLine(line1 + line2, TD1_FIELDS, TD1_COMPOSITE);
+        const name = line3 ? correctNameLine(line3, 0) : { line: '', corrections: [] };
+        return {
+            lines: [data.line.substring(0, 30), data.line.substring(30), name.line],
+            corrections: data.corrections.concat(name.corrections)
+        };
+    }
+
+    // OCR tends to drop or add trailing fillers; pad or cut to the format width
+    function fitMRZLine(line, length) {
+        return line.length >= length ? line.substring(0, length) : line + '<'.repeat(length - line.length);
+    }
+
+    function isMRZLine(line, min, max) {
+        return !!line && line.length >= min && line.length <= max && MRZ_LINE_REGEX.test(line);
+    }
+
+    function withCorrections(result, fixed) {
+        if (result) result.corrections = fixed.corrections;
+        return result;
+    }
+
     function parseMRZ(text) {
-        const lines = text.split('\n').map(l => l.trim()).filter(l => l.length > 30);
+        const lines = text.split('\n').map(normalizeMRZLine).filter(l => l.length >= 28);
         
         for (let i = 0; i < lines.length - 1; i++) {
             const line1 = lines[i];
             const line2 = lines[i + 1];
 
-            if (line1.length >= 30 && line2.length >= 28) {
-                const isTD1 = line1.startsWith('I<KAZ') || line1.startsWith('ID');
-                const isTD3 = line1.startsWith('P<');
+            const isTD3 = /^P[<K][A-Z0-9]{3}/.test(line1) && line1.length >= 40 && line2.length >= 28;
+            const isTD2 = /^[PIAC][A-Z0-9<]/.test(line1) && isMRZLine(line1, 34, 38) && isMRZLine(line2, 34, 38);
+            const isTD1 = /^[IAC][A-Z0-9<]/.test(line1) && isMRZLine(line1, 28, 32) && isMRZLine(line2, 28, 32);
 
-                if (isTD1) {
-                    return parseTD1(line1, line2);
-                } else if (isTD3) {
-                    return parseTD3(line1, line2);
-                }
+            if (isTD3) {
+                const fixed = correctTD3(line1, line2);
+                return withCorrections(parseTD3(fixed.lines[0], fixed.lines[1]), fixed);
+            } else if (isTD2) {
+                const fixed = correctTD2(fitMRZLine(line1, 36), fitMRZLine(line2, 36));
+                return withCorrections(parseTD2(fixed.lines[0], fixed.lines[1]), fixed);
+            } else if (isTD1) {
+                // The name line may be lost in a bad scan — the data lines still parse
+                const line3 = isMRZLine(lines[i + 2], 28, 32) ? fitMRZLine(lines[i + 2], 30) : '';
+                const fixed = correctTD1(fitMRZLine(line1, 30), fitMRZLine(line2, 30), line3);
+                return withCorrections(parseTD1(fixed.lines[0], fixed.lines[1], fixed.lines[2]), fixed);
             }
         }
 
@@ -116,32 +514,118 @@ const PassportParser = (function() {
                 nationality: null,
                 birthDate: null,
                 validDate: null,
-                gender: null
+                gender: null,
+                format: null,
+                checks: {}
             };
         }
 
         return null;
     }
 
-    function parseTD1(line1, line2) {
+    // How much of a machine-readable zone OCR text holds: 0 (none) to 100 (a full MRZ whose
+    // check digits all pass). Used to pick the image orientation that reads best.
+    function scoreMRZText(text) {
+        const lines = (text || '').split('\n').map(normalizeMRZLine);
+        const mrzLines = lines.filter(l => /^[A-Z0-9<]{28,44}$/.test(l) && l.includes('<')).length;
+        let score = Math.min(mrzLines, 2) * 15;
+
+        const mrz = parseMRZ(text || '');
+        if (mrz && mrz.format) {
+            const checks = Object.keys(mrz.checks).map(k => mrz.checks[k]);
+            const passed = checks.filter(c => c === true).length;
+            score += 30 + (checks.length ? Math.round(40 * passed / checks.length) : 0);
+        }
+        return score;
+    }
+
+    // "DE<LA<CRUZ<<MARIA<ANA<<<" -> { surname: 'DE LA CRUZ', name: 'MARIA ANA' }
+    function splitMRZName(field) {
+        const value = (field || '').replace(/<+$/, '');
+        const sep = value.indexOf('<<');
+        if (sep < 0) return { surname: value.replace(/<+/g, ' ').trim(), name: '' };
+        return {
+            surname: value.substring(0, sep).replace(/<+/g, ' ').trim(),
+            name: value.substring(sep + 2).replace(/<+/g, ' ').trim()
+        };
+    }
+
+    function mrzGender(c) {
+        if (c === 'M') return '1';
+        if (c === 'F') return '0';
+        return '';
+    }
+
+    function stripFiller(value) {
+        return (value || '').replace(/<+$/, '').replace(/</g, ' ');
+    }
+
+    function parseTD1(line1, line2, line3) {
         try {
-            const nameMatch = line1.substring(5).match(/([A-Z]+)<<(.+)/);
-            const surname = nameMatch ? nameMatch[1].replace(/</g, '') : '';
-            const name = nameMatch ? nameMatch[2].replace(/<+/g, ' ').trim() : '';
-            
-            const number = line2.substring(0, 9).replace(/<+$/, '');
+            const fullName = splitMRZName(line3);
+
+            let numberField = line1.substring(5, 14);
+            let numberCheck = line1[14];
+            let optional1 = line1.substring(15, 30);
+            // Numbers longer than 9 characters continue in the optional data
+            if (numberCheck === '<' && /^[A-Z0-9]{2}/.test(optional1)) {
+                const overflow = optional1.match(/^[A-Z0-9]+/)[0];
+                numberField += overflow.slice(0, -1);
+                numberCheck = overflow.slice(-1);
+                optional1 = optional1.substring(overflow.length);
+            }
+
+            const birthDateRaw = line2.substring(0, 6);
+            const validDateRaw = line2.substring(8, 14);
+
+            return {
+                surname: fullName.surname,
+                name: fullName.name,
+                number: numberField.replace(/</g, ''),
+                documentCode: line1.substring(0, 2).replace(/</g, ''),
+                issuingState: line1.substring(2, 5).replace(/</g, ''),
+                nationality: line2.substring(15, 18).replace(/</g, ''),
+                birthDate: formatMRZDate(birthDateRaw, 'birth'),
+                validDate: formatMRZDate(validDateRaw, 'expiry'),
+                gender: mrzGender(line2[7]),
+                optionalData: [stripFiller(optional1), stripFiller(line2.substring(18, 29))],
+                format: 'TD1',
+                checks: {
+                    number: verifyCheckDigit(numberField, numberCheck),
+                    birthDate: verifyCheckDigit(birthDateRaw, line2[6]),
+                    validDate: verifyCheckDigit(validDateRaw, line2[14]),
+                    composite: verifyCheckDigit(line1.substring(5, 30) + line2.substring(0, 7) + line2.substring(8, 15) + line2.substring(18, 29), line2[29])
+                }
+            };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function parseTD2(line1, line2) {
+        try {
+            const fullName = splitMRZName(line1.substring(5));
             const birthDateRaw = line2.substring(13, 19);
-            const gender = line2.substring(20, 21) === 'M' ? '1' : '0';
             const validDateRaw = line2.substring(21, 27);
 
             return {
-                surname,
-                name,
-                number: 'N' + number,
-                nationality: 'KAZ',
-                birthDate: formatMRZDate(birthDateRaw),
-                validDate: formatMRZDate(validDateRaw),
-                gender
+                surname: fullName.surname,
+                name: fullName.name,
+                number: line2.substring(0, 9).replace(/</g, ''),
+                documentCode: line1.substring(0, 2).replace(/</g, ''),
+                issuingState: line1.substring(2, 5).replace(/</g, ''),
+                nationality: line2.substring(10, 13).replace(/</g, ''),
+                birthDate: formatMRZDate(birthDateRaw, 'birth'),
+                validDate: formatMRZDate(validDateRaw, 'expiry'),
+                gender: mrzGender(line2[20]),
+                optionalData: [stripFiller(line2.substring(28, 35))],
+                format: 'TD2',
+                checks: {
+                    number: verifyCheckDigit(line2.substring(0, 9), line2[9]),
+                    birthDate: verifyCheckDigit(birthDateRaw, line2[19]),
+                    validDate: verifyCheckDigit(validDateRaw, line2[27]),
+                    composite: verifyCheckDigit(line2.substring(0, 10) + line2.substring(13, 20) + line2.substring(21, 35), line2[35])
+                }
             };
         } catch (e) {
             return null;
@@ -150,63 +634,272 @@ const PassportParser = (function() {
 
     function parseTD3(line1, line2) {
         try {
-            const nameMatch = line1.substring(5).match(/([A-Z]+)<<(.+)/);
-            const surname = nameMatch ? nameMatch[1].replace(/</g, '') : '';
-            const name = nameMatch ? nameMatch[2].replace(/<+/g, ' ').trim() : '';
+            const fullName = splitMRZName(line1.substring(5));
             
             const number = line2.substring(0, 9).replace(/<+$/, '');
             const nationality = line2.substring(10, 13);
             const birthDateRaw = line2.substring(13, 19);
-            const gender = line2.substring(20, 21) === 'M' ? '1' : '0';
+            const gender = mrzGender(line2[20]);
             const validDateRaw = line2.substring(21, 27);
 
             return {
-                surname,
-                name,
-                number: 'N' + number,
+                surname: fullName.surname,
+                name: fullName.name,
+                number,
+                documentCode: line1.substring(0, 2).replace(/</g, ''),
+                issuingState: line1.substring(2, 5).replace(/</g, ''),
                 nationality,
-                birthDate: formatMRZDate(birthDateRaw),
-                validDate: formatMRZDate(validDateRaw),
-                gender
+                birthDate: formatMRZDate(birthDateRaw, 'birth'),
+                validDate: formatMRZDate(validDateRaw, 'expiry'),
+                gender,
+                optionalData: [stripFiller(line2.substring(28, 42))],
+                format: 'TD3',
+                checks: {
+                    number: verifyCheckDigit(line2.substring(0, 9), line2[9]),
+                    birthDate: verifyCheckDigit(birthDateRaw, line2[19]),
+                    validDate: verifyCheckDigit(validDateRaw, line2[27]),
+                    optional: verifyCheckDigit(line2.substring(28, 42), line2[42]),
+                    composite: verifyCheckDigit(line2.substring(0, 10) + line2.substring(13, 20) + line2.substring(21, 43), line2[43])
+                }
             };
         } catch (e) {
             return null;
         }
     }
 
-    function formatMRZDate(mrzDate) {
+    // MRZ years have two digits: a birth date cannot lie in the future, while an
+    // expiry date is resolved to the century closest to the current year
+    function formatMRZDate(mrzDate, kind) {
         if (!mrzDate || mrzDate.length !== 6) return '';
         
         const year = parseInt(mrzDate.substring(0, 2));
         const month = mrzDate.substring(2, 4);
         const day = mrzDate.substring(4, 6);
-        const fullYear = year > 50 ? 1900 + year : 2000 + year;
+        const today = new Date();
+        const currentYear = today.getFullYear();
+        let fullYear;
+
+        if (kind === 'birth') {
+            fullYear = 2000 + year;
+            const birth = new Date(fullYear, parseInt(month) - 1, parseInt(day));
+            if (birth > today) fullYear -= 100;
+        } else {
+            fullYear = currentYear - (currentYear % 100) + year;
+            if (fullYear > currentYear + 50) fullYear -= 100;
+            else if (fullYear < currentYear - 50) fullYear += 100;
+        }
 
         return `${day}.${month}.${fullYear}`;
     }
 
-    function parseDates(text) {
-        const dateRegex = /\d{2}\.\d{2}\.\d{4}/g;
-        const dates = text.match(dateRegex) || [];
-        
-        if (dates.length >= 3) {
-            const sortedDates = dates.sort((a, b) => {
-                const getYear = (d) => parseInt(d.split('.')[2]);
-                return getYear(a) - getYear(b);
+    function findDates(text) {
+        return Array.from(text.matchAll(VIZ_DATE_REGEX), m => `${m[1]}.${m[2]}.${m[3]}`);
+    }
+
+    // Name captions yield a second, Cyrillic label at the same position
+    function findVizLabels(line) {
+        const found = [];
+        VIZ_LABELS.forEach(function(label) {
+            const match = line.match(label.pattern);
+            if (!match) return;
+            const position = { start: match.index, end: match.index + match[0].length };
+            found.push(Object.assign({ field: label.field, kind: label.kind }, position));
+            if (VIZ_CYRILLIC_FIELDS[label.field]) {
+                found.push(Object.assign({ field: VIZ_CYRILLIC_FIELDS[label.field], kind: 'cyrillic' }, position));
+            }
+        });
+        return found.sort((a, b) => a.start - b.start);
+    }
+
+    function stripVizLabels(text) {
+        let value = text;
+        VIZ_LABELS.forEach(function(label) {
+            value = value.replace(new RegExp(label.pattern.source, label.pattern.flags + 'g'), ' ');
+        });
+        return value.replace(/[/:|]/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    function isVizLabelLine(line) {
+        return findVizLabels(line).length > 0 || VIZ_OTHER_LABELS.test(line);
+    }
+
+    // Each reader returns '' when the text holds no value of its kind
+    const VIZ_READERS = {
+        date: function(value) {
+            return findDates(value)[0] || '';
+        },
+        text: function(value) {
+            return !findDates(value).length && /[A-ZА-ЯЁӘҒҚҢӨҰҮІҺ]{2}/i.test(value) ? value.toUpperCase() : '';
+        },
+        // Bilingual names ("ИВАНОВ / IVANOV") keep the Latin spelling used by the MRZ
+        latin: function(value) {
+            const match = value.match(/[A-Z][A-Z'-]*(?:\s+[A-Z][A-Z'-]*)*/);
+            return match && !findDates(value).length ? match[0] : '';
+        },
+        cyrillic: function(value) {
+            const match = value.toUpperCase().match(/[А-ЯЁӘҒҚҢӨҰҮІҺ][А-ЯЁӘҒҚҢӨҰҮІҺ'-]*(?:\s+[А-ЯЁӘҒҚҢӨҰҮІҺ][А-ЯЁӘҒҚҢӨҰҮІҺ'-]*)*/);
+            return match && !findDates(value).length ? match[0] : '';
+        },
+        number: function(value) {
+            const match = value.match(/(?:^|[^A-Z0-9])([A-Z]{0,2}\s?\d{7,9})(?![0-9])/);
+            return match ? match[1].replace(/\s/g, '') : '';
+        },
+        // Single letters ("Ж/F") or the words in Kazakh, Russian, Uzbek, Kyrgyz and English
+        gender: function(value) {
+            if (/(?<!\p{L})(?:[FЖ]|female|жен(?:ский)?|әйел|ayol|аял)(?!\p{L})/iu.test(value)) return '0';
+            if (/(?<!\p{L})(?:[MМ]|male|муж(?:ской)?|ер|erkak|эркек)(?!\p{L})/iu.test(value)) return '1';
+            return '';
+        }
+    };
+
+    // Reads the fields printed next to their captions. A value sits either after the
+    // caption on the same line or on the following lines, up to the next caption.
+    function parseVisualZone(text) {
+        const result = {};
+        VIZ_LABELS.forEach(function(label) { result[label.field] = ''; });
+        Object.keys(VIZ_CYRILLIC_FIELDS).forEach(function(field) { result[VIZ_CYRILLIC_FIELDS[field]] = ''; });
+        const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+
+        lines.forEach(function(line, i) {
+            const labels = findVizLabels(line);
+            const pending = [];
+
+            labels.forEach(function(label, k) {
+                if (result[label.field]) return;
+                const next = labels.slice(k + 1).find(l => l.start > label.start);
+                const value = VIZ_READERS[label.kind](stripVizLabels(line.slice(label.end, next ? next.start : line.length)));
+                if (value) result[label.field] = value;
+                else pending.push(label);
             });
-            return {
-                birthDate: sortedDates[0],
-                issueDate: sortedDates[1],
-                validDate: sortedDates[2]
-            };
+            if (!pending.length) return;
+
+            const valueLines = [];
+            for (let j = i + 1; j < lines.length && valueLines.length < VIZ_LOOKAHEAD_LINES && !isVizLabelLine(lines[j]); j++) {
+                valueLines.push(lines[j]);
+            }
+            // Side-by-side captions share one value line: dates are assigned in caption order
+            const dated = valueLines.find(l => findDates(l).length);
+            const dates = dated ? findDates(dated) : [];
+            pending.forEach(function(label) {
+                if (result[label.field]) return;
+                if (label.kind === 'date') {
+                    if (dates.length) result[label.field] = dates.shift();
+                    return;
+                }
+                for (const valueLine of valueLines) {
+                    const value = VIZ_READERS[label.kind](valueLine);
+                    if (value) { result[label.field] = value; break; }
+                }
+            });
+        });
+
+        return result;
+    }
+
+    function transliterateCyrillic(text) {
+        return Array.from(String(text || '').toUpperCase(), c => CYRILLIC_TO_LATIN[c] !== undefined ? CYRILLIC_TO_LATIN[c] : c).join('');
+    }
+
+    function foldLatinName(text) {
+        return LATIN_VARIANTS.reduce((value, rule) => value.replace(rule[0], rule[1]), String(text || '').toUpperCase());
+    }
+
+    // True when the Cyrillic spelling transliterates to the Latin one, allowing for the
+    // differences between transliteration systems
+    function cyrillicMatchesLatin(cyrillic, latin) {
+        if (!cyrillic || !latin) return true;
+        return foldLatinName(transliterateCyrillic(cyrillic)) === foldLatinName(latin);
+    }
+
+    function compareDates(a, b) {
+        return a.split('.').reverse().join('').localeCompare(b.split('.').reverse().join(''));
+    }
+
+    // Fallback for dates without a readable caption: order the rest chronologically
+    function parseDates(text, labeled) {
+        labeled = labeled || {};
+        const result = {
+            birthDate: labeled.birthDate || '',
+            issueDate: labeled.issueDate || '',
+            validDate: labeled.validDate || ''
+        };
+        const used = [result.birthDate, result.issueDate, result.validDate];
+        const dates = findDates(text).filter(d => !used.includes(d)).sort(compareDates);
+        const missing = ['birthDate', 'issueDate', 'validDate'].filter(f => !result[f]);
+        if (!missing.length || dates.length < missing.length) return result;
+
+        const today = new Date();
+        const todayKey = [today.getDate(), today.getMonth() + 1, today.getFullYear()]
+            .map(n => String(n).padStart(2, '0')).join('.');
+        if (!result.birthDate) result.birthDate = dates.shift();
+        if (!result.validDate) result.validDate = dates.pop();
+        if (!result.issueDate) {
+            const past = dates.filter(d => compareDates(d, todayKey) <= 0);
+            result.issueDate = past.length ? past[past.length - 1] : dates[0] || '';
         }
+        return result;
+    }
+
+    // MRZ issuing state first, then state names printed in the visual zone
+    function detectIssuingState(text, mrzData) {
+        const mrzState = mrzData && (mrzData.issuingState || mrzData.nationality);
+        if (mrzState && /^[A-Z]{3}$/.test(mrzState)) return mrzState;
+        const upper = text.toUpperCase();
+        for (const code of Object.keys(ISSUING_STATES)) {
+            if (ISSUING_STATES[code].detect.test(upper)) return code;
+        }
+        return DEFAULT_ISSUING_STATE;
+    }
 
-        return { birthDate: '', issueDate: '', validDate: '' };
+    function getIssuingStateRules(code) {
+        return ISSUING_STATES[code] || GENERIC_ISSUING_STATE;
     }
 
-    function parsePassportNumber(text) {
-        const passportMatch = text.match(/N(\d{8,9})/);
-        return passportMatch ? 'N' + passportMatch[1] : '';
+    // Tourist templates store a parse result under their own keys (givenName, passport),
+    // with the issuing-state fields so a foreign passport fills back with its series and
+    // authority. Contact fields are added by the caller.
+    function toTemplate(data) {
+        return {
+            surname: data.surname || '',
+            givenName: data.name || '',
+            passport: data.number || '',
+            pserie: data.pserie || '',
+            iin: data.iin || '',
+            birthDate: data.birthDate || '',
+            validDate: data.validDate || '',
+            gender: data.gender || '1',
+            nationality: data.nationality || '',
+            issuingState: data.issuingState || '',
+            authority: data.authority || ''
+        };
+    }
+
+    // Fill data of a template; templates saved without the issuing-state fields are
+    // Kazakh passports
+    function fromTemplate(template) {
+        const issuingState = template.issuingState || DEFAULT_ISSUING_STATE;
+        return {
+            surname: template.surname || '',
+            name: template.givenName || '',
+            number: template.passport || '',
+            pserie: template.pserie || '',
+            iin: template.iin || '',
+            birthDate: template.birthDate || '',
+            issueDate: template.issueDate || '',
+            validDate: template.validDate || '',
+            gender: template.gender || '1',
+            email: template.email || '',
+            phone: template.phone || '',
+            nationality: template.nationality || issuingState,
+            issuingState: issuingState,
+            authority: template.authority || getIssuingStateRules(issuingState).authority
+        };
+    }
+
+    function parsePassportNumber(text, rules) {
+        if (!rules.number) return '';
+        const passportMatch = text.match(rules.number);
+        return passportMatch ? passportMatch[1].replace(/\s/g, '') : '';
     }
 
     function parseIIN(text) {
@@ -223,165 +916,597 @@ const PassportParser = (function() {
         return '';
     }
 
+    // Kazakh documents carry the IIN in the MRZ optional data (TD3 line 2, TD1 line 1)
+    function findMRZIIN(mrzData) {
+        const fields = (mrzData && mrzData.optionalData) || [];
+        for (const field of fields) {
+            const match = field.replace(/\s/g, '').match(/(?:^|\D)(\d{12})(?!\d)/);
+            if (match) return match[1];
+        }
+        return '';
+    }
+
     function parseGender(text) {
         if (/\bF\b/.test(text) || text.includes('Ж/F') || text.includes('ЖЕН')) return '0';
         if (/\bM\b/.test(text) || text.includes('М/M') || text.includes('МУЖ')) return '1';
         return '';
     }
 
-    function parseAuthority() {
-        return 'MIA OF KAZAKHSTAN';
+    // One field from the OCR of a region cropped in the preview's image viewer. Captions in
+    // the crop are ignored and Cyrillic-only names transliterated; '' when nothing fits.
+    function readField(field, text, issuingState) {
+        const value = stripVizLabels(String(text || ''));
+        const upper = value.toUpperCase();
+        const rules = getIssuingStateRules(issuingState);
+        switch (field) {
+            case 'surname':
+            case 'name': {
+                const latin = VIZ_READERS.latin(upper);
+                if (latin) return latin;
+                const cyrillic = VIZ_READERS.cyrillic(value);
+                return cyrillic ? transliterateCyrillic(cyrillic) : '';
+            }
+            case 'number': {
+                const raw = parsePassportNumber(upper, rules) || VIZ_READERS.number(upper);
+                return raw ? rules.split(raw).number : '';
+            }
+            case 'iin':
+                return parseIIN(value.replace(/(\d)\s+(?=\d)/g, '$1'));
+            case 'birthDate':
+            case 'validDate': {
+                const dates = findDates(value).sort(compareDates);
+                return (field === 'birthDate' ? dates[0] : dates[dates.length - 1]) || '';
+            }
+            case 'gender':
+                return VIZ_READERS.gender(value);
+            default:
+                return '';
+        }
+    }
+
+    const CROSS_CHECK_FIELDS = ['surname', 'name', 'number', 'birthDate', 'validDate', 'gender'];
+
+    function normalizeCandidate(value) {
+        return String(value).toUpperCase().replace(/[^A-Z0-9А-ЯЁ.]/g, '');
+    }
+
+    // Groups each source's reading of the cross-checked fields; a field with more
+    // than one distinct candidate is a conflict for the agent to resolve
+    function buildConsistencyReport(sources) {
+        const report = { fields: {}, conflicts: [] };
+        CROSS_CHECK_FIELDS.forEach(function(field) {
+            const candidates = [];
+            Object.keys(sources).forEach(function(source) {
+                const value = sources[source] && sources[source][field];
+                if (!value) return;
+                const same = candidates.find(c => normalizeCandidate(c.value) === normalizeCandidate(value));
+                if (same) same.sources.push(source);
+                else candidates.push({ value: value, sources: [source] });
+            });
+            report.fields[field] = { candidates: candidates, agree: candidates.length <= 1 };
+            if (candidates.length > 1) report.conflicts.push(field);
+        });
+        return report;
+    }
+
+    // Printed authority when its caption was read, otherwise the issuing state's default
+    function parseAuthority(viz, rules) {
+        return viz.authority || rules.authority;
+    }
+
+    // What a PDF page shows. An MRZ settles it; otherwise the page title and captions decide.
+    const PAGE_TYPES = { PASSPORT: 'passport', ID_FRONT: 'idFront', ID_BACK: 'idBack', OTHER: 'other' };
+    const ID_CARD_TITLE = /жеке\s+куәлік|удостоверение\s+личности|identity\s+card|shaxsiy\s+guvohnoma/i;
+    const PASSPORT_TITLE = /паспорт|passport|pasport/i;
+    const PAGE_MIN_VIZ_FIELDS = 3;
+
+    // Score ranks pages of the same PDF: MRZ quality first, then labelled fields and an IIN
+    function classifyPage(text) {
+        text = text || '';
+        const mrz = parseMRZ(text);
+        const viz = parseVisualZone(text);
+        const vizFields = Object.keys(viz).filter(field => viz[field]).length;
+
+        let type = PAGE_TYPES.OTHER;
+        if (mrz && mrz.format) type = mrz.format === 'TD1' ? PAGE_TYPES.ID_BACK : PAGE_TYPES.PASSPORT;
+        else if (ID_CARD_TITLE.test(text)) type = PAGE_TYPES.ID_FRONT;
+        else if (vizFields >= PAGE_MIN_VIZ_FIELDS || (vizFields && PASSPORT_TITLE.test(text))) type = PAGE_TYPES.PASSPORT;
+
+        const score = type === PAGE_TYPES.OTHER ? 0 : scoreMRZText(text) + vizFields * 5 + (parseIIN(text) ? 10 : 0);
+        return { type: type, score: score };
+    }
+
+    function isIdCardPair(a, b) {
+        return (a === PAGE_TYPES.ID_FRONT && b === PAGE_TYPES.ID_BACK) || (a === PAGE_TYPES.ID_BACK && b === PAGE_TYPES.ID_FRONT);
+    }
+
+    // Splits the page texts of one PDF into documents: each passport page on its own, an ID
+    // card's front and back (adjacent, in either order) together. Cover and other pages are
+    // dropped. Page numbers are 1-based.
+    function groupDocumentPages(pageTexts) {
+        const documents = [];
+        (pageTexts || []).forEach(function(text, i) {
+            const page = classifyPage(text);
+            if (page.type === PAGE_TYPES.OTHER) return;
+            const last = documents[documents.length - 1];
+            if (last && last.types.length === 1 && last.pages[0] === i && isIdCardPair(last.types[0], page.type)) {
+                last.pages.push(i + 1);
+                last.types.push(page.type);
+                last.text += '\n' + text;
+                last.score += page.score;
+                return;
+            }
+            documents.push({ pages: [i + 1], types: [page.type], text: text, score: page.score });
+        });
+        return documents;
+    }
+
+    // Text of the best document in the PDF; all pages when none is recognised
+    function pickDocumentText(pageTexts) {
+        const best = groupDocumentPages(pageTexts).sort((a, b) => b.score - a.score)[0];
+        return best ? best.text : (pageTexts || []).join('\n');
     }
 
     function parse(text) {
         const errors = [];
         const warnings = [];
+        const confidence = {};
+        const sources = {};
 
         const data = {
             number: '',
             surname: '',
             name: '',
+            surnameCyrillic: '',
+            nameCyrillic: '',
             birthDate: '',
             issueDate: '',
             validDate: '',
             iin: '',
-            authority: 'MIA OF KAZAKHSTAN',
+            iinSource: null,
+            authority: '',
             gender: '',
             pserie: '',
-            nationality: 'KAZ',
+            nationality: '',
+            issuingState: '',
+            mrzFormat: null,
+            mrzChecks: {},
+            mrzVerified: false,
+            consistency: null,
+            confidence: confidence,
+            fields: {},
             isValid: true,
             errors: [],
             warnings: []
         };
 
+        // Record a score only for the stage that actually supplied the value
+        function score(field, value, source) {
+            if (data[field] && confidence[field] === undefined) {
+                confidence[field] = value;
+                sources[field] = source;
+            }
+        }
+
         const mrzData = parseMRZ(text);
+        data.issuingState = detectIssuingState(text, mrzData);
+        const rules = getIssuingStateRules(data.issuingState);
+        data.nationality = data.issuingState;
+
         if (mrzData) {
             data.surname = mrzData.surname || data.surname;
             data.name = mrzData.name || data.name;
-            data.number = mrzData.number || data.number;
+            if (mrzData.number) Object.assign(data, rules.split(mrzData.number));
             data.nationality = mrzData.nationality || data.nationality;
             if (mrzData.birthDate) data.birthDate = mrzData.birthDate;
             if (mrzData.validDate) data.validDate = mrzData.validDate;
             if (mrzData.gender) data.gender = mrzData.gender;
+
+            const mrzScore = scoreMRZ(mrzData);
+            data.mrzFormat = mrzData.format;
+            data.mrzChecks = mrzData.checks;
+            data.mrzVerified = mrzScore.verified;
+            ['surname', 'name', 'number', 'birthDate', 'validDate', 'gender'].forEach(function(field) {
+                if (field === 'number' && !mrzData.number) return;
+                score(field, mrzScore.confidence[field], SOURCES.MRZ);
+            });
+            if (mrzData.nationality) score('nationality', mrzScore.confidence.nationality, SOURCES.MRZ);
+
+            Object.keys(mrzData.checks).forEach(function(field) {
+                if (mrzData.checks[field] === false) warnings.push(issue(ISSUES.MRZ_CHECK_FAILED, { field: field }));
+            });
+            (mrzData.corrections || []).forEach(function(c) {
+                warnings.push(issue(ISSUES.MRZ_CORRECTED, { field: c.field, from: c.from, to: c.to }));
+            });
         }
 
+        const viz = parseVisualZone(text);
+        ['surname', 'name', 'gender'].forEach(function(field) {
+            if (!data[field] && viz[field]) data[field] = viz[field];
+            score(field, CONFIDENCE.VIZ_LABEL, SOURCES.VIZ);
+        });
+        Object.keys(VIZ_CYRILLIC_FIELDS).forEach(function(field) {
+            const cyrillicField = VIZ_CYRILLIC_FIELDS[field];
+            data[cyrillicField] = viz[cyrillicField];
+            if (data[field] && !cyrillicMatchesLatin(data[cyrillicField], data[field])) {
+                warnings.push(issue(ISSUES.CYRILLIC_NAME_MISMATCH, { field: field, cyrillic: data[cyrillicField], latin: data[field] }));
+            }
+        });
+
         if (!data.surname || !data.name) {
             const engWordRegex = /\b[A-Z]{3,}\b/g;
             const allWords = text.match(engWordRegex) || [];
-            const filteredWords = allWords.filter(w => !BLACKLIST_WORDS.includes(w) && w.length > 2);
+            const blacklist = BLACKLIST_WORDS.concat(rules.words);
+            const filteredWords = allWords.filter(w => !blacklist.includes(w) && w.length > 2);
             
             if (!data.surname && filteredWords.length > 0) data.surname = filteredWords[0];
             if (!data.name && filteredWords.length > 1) data.name = filteredWords[1];
+            score('surname', CONFIDENCE.TEXT, SOURCES.OCR);
+            score('name', CONFIDENCE.TEXT, SOURCES.OCR);
             
-            if (!data.surname) warnings.push('Surname not found');
-            if (!data.name) warnings.push('Given name not found');
+            if (!data.surname) warnings.push(issue(ISSUES.SURNAME_NOT_FOUND));
+            if (!data.name) warnings.push(issue(ISSUES.NAME_NOT_FOUND));
         }
 
+        if (!data.number && viz.number) {
+            Object.assign(data, rules.split(viz.number));
+            score('number', CONFIDENCE.VIZ_LABEL, SOURCES.VIZ);
+        }
         if (!data.number) {
-            data.number = parsePassportNumber(text);
+            const textNumber = parsePassportNumber(text, rules);
+            if (textNumber) Object.assign(data, rules.split(textNumber));
+            score('number', CONFIDENCE.TEXT, SOURCES.OCR);
         }
         if (!data.number) {
-            errors.push('Passport number not found');
+            errors.push(issue(ISSUES.NUMBER_NOT_FOUND));
             data.isValid = false;
         }
 
-        data.iin = parseIIN(text);
+        // A checksum-valid MRZ IIN beats the free-text heuristic, which may pick up a document number
+        const mrzIIN = findMRZIIN(mrzData);
+        const textIIN = parseIIN(text);
+        if (mrzIIN && (validateIIN(mrzIIN) || !textIIN)) {
+            data.iin = mrzIIN;
+            data.iinSource = 'mrz';
+        } else if (textIIN) {
+            data.iin = textIIN;
+            data.iinSource = 'text';
+        }
+
+        let iinData = null;
         if (data.iin) {
-            if (!validateIIN(data.iin)) {
-                warnings.push('IIN checksum validation failed');
+            const iinValid = validateIIN(data.iin);
+            const iinFrom = data.iinSource === 'mrz' ? SOURCES.MRZ : SOURCES.OCR;
+            if (!iinValid) score('iin', CONFIDENCE.MRZ_FAILED, iinFrom);
+            else if (data.iinSource === 'mrz' && mrzData.checks.optional === true) score('iin', CONFIDENCE.MRZ_CHECKED, iinFrom);
+            else score('iin', CONFIDENCE.IIN, iinFrom);
+            if (!iinValid) {
+                warnings.push(issue(ISSUES.IIN_CHECKSUM_FAILED, { iin: data.iin }));
             }
             
-            const iinData = extractFromIIN(data.iin);
+            iinData = extractFromIIN(data.iin);
             if (iinData) {
+                // The IIN century digit is authoritative when the MRZ only differs by century
+                if (data.birthDate && data.birthDate !== iinData.birthDate &&
+                    data.birthDate.slice(0, 6) + data.birthDate.slice(8) === iinData.birthDate.slice(0, 6) + iinData.birthDate.slice(8)) {
+                    warnings.push(issue(ISSUES.MRZ_CENTURY_MISMATCH, { mrz: data.birthDate, iin: iinData.birthDate }));
+                    data.birthDate = iinData.birthDate;
+                    mrzData.birthDate = iinData.birthDate;
+                    confidence.birthDate = CONFIDENCE.IIN;
+                    sources.birthDate = SOURCES.IIN;
+                }
                 if (!data.birthDate) data.birthDate = iinData.birthDate;
                 if (!data.gender) data.gender = iinData.gender;
+                score('birthDate', CONFIDENCE.IIN, SOURCES.IIN);
+                score('gender', CONFIDENCE.IIN, SOURCES.IIN);
             }
-        } else {
-            warnings.push('IIN not found');
+        } else if (data.issuingState === 'KAZ') {
+            // Only Kazakh documents print the IIN
+            warnings.push(issue(ISSUES.IIN_NOT_FOUND));
         }
 
-        const textDates = parseDates(text);
-        if (!data.birthDate) data.birthDate = textDates.birthDate;
-        if (!data.issueDate) data.issueDate = textDates.issueDate;
-        if (!data.validDate) data.validDate = textDates.validDate;
+        const textDates = parseDates(text, viz);
+        ['birthDate', 'issueDate', 'validDate'].forEach(function(field) {
+            if (!data[field]) data[field] = textDates[field];
+            if (viz[field]) score(field, CONFIDENCE.VIZ_LABEL, SOURCES.VIZ);
+            else score(field, CONFIDENCE.TEXT, SOURCES.OCR);
+        });
 
         if (!data.gender) {
             data.gender = parseGender(text);
+            score('gender', CONFIDENCE.TEXT, SOURCES.OCR);
         }
 
-        data.authority = parseAuthority();
+        data.authority = parseAuthority(viz, rules);
+        if (viz.authority) score('authority', CONFIDENCE.VIZ_LABEL, SOURCES.VIZ);
+
+        const mrzNumber = mrzData && mrzData.number ? rules.split(mrzData.number).number : '';
+        const vizNumber = viz.number ? rules.split(viz.number).number : '';
+        data.consistency = buildConsistencyReport({
+            mrz: mrzData && {
+                surname: mrzData.surname, name: mrzData.name, number: mrzNumber,
+                birthDate: mrzData.birthDate, validDate: mrzData.validDate, gender: mrzData.gender
+            },
+            viz: {
+                surname: viz.surname, name: viz.name, number: vizNumber,
+                birthDate: viz.birthDate, validDate: viz.validDate, gender: viz.gender
+            },
+            iin: iinData && { birthDate: iinData.birthDate, gender: iinData.gender }
+        });
+        data.consistency.conflicts.forEach(function(field) {
+            // Rendered by formatIssue, in the UI language
+            const readings = data.consistency.fields[field].candidates
+                .map(c => ({ sources: c.sources.slice(), value: c.value }));
+            warnings.push(issue(ISSUES.SOURCES_DISAGREE, { field: field, values: readings }));
+        });
 
         if (!data.birthDate) {
-            errors.push('Birth date not found');
+            errors.push(issue(ISSUES.BIRTH_DATE_NOT_FOUND));
             data.isValid = false;
         }
 
+        PROVENANCE_FIELDS.forEach(function(field) {
+            if (confidence[field] === undefined) confidence[field] = 0;
+            data.fields[field] = { value: data[field], source: sources[field] || null, confidence: confidence[field] };
+        });
+
         data.errors = errors;
         data.warnings = warnings;
 
         return data;
     }
 
-    const COUNTRY_RULES = {
-        'TR': { months: 6, name: 'Turkey' },
-        'EG': { months: 6, name: 'Egypt' },
-        'AE': { months: 6, name: 'UAE' },
-        'TH': { months: 6, name: 'Thailand' },
-        'VN': { months: 6, name: 'Vietnam' },
-        'CN': { months: 6, name: 'China' },
-        'IN': { months: 6, name: 'India' },
-        'ID': { months: 6, name: 'Indonesia' },
-        'MY': { months: 6, name: 'Malaysia' },
-        'MV': { months: 6, name: 'Maldives' },
-        'GR': { months: 3, name: 'Greece' },
-        'ES': { months: 3, name: 'Spain' },
-        'IT': { months: 3, name: 'Italy' },
-        'CY': { months: 3, name: 'Cyprus' },
-        'PT': { months: 3, name: 'Portugal' },
-        'HR': { months: 3, name: 'Croatia' },
-        'BG': { months: 3, name: 'Bulgaria' },
-        'GE': { months: 0, name: 'Georgia' },
-        'KZ': { months: 0, name: 'Kazakhstan' },
-        'RU': { months: 0, name: 'Russia' },
-        'UZ': { months: 3, name: 'Uzbekistan' },
-        'KG': { months: 3, name: 'Kyrgyzstan' },
-        'AZ': { months: 3, name: 'Azerbaijan' },
-        'AM': { months: 3, name: 'Armenia' }
-    };
+    // Returns a copy of a parse result with the agent's edits applied; edited
+    // fields become manual with full confidence
+    function applyManualEdits(data, edits) {
+        const result = { ...data, confidence: { ...data.confidence }, fields: { ...data.fields } };
+        Object.keys(edits).forEach(function(field) {
+            const value = edits[field];
+            result[field] = value;
+            if (!PROVENANCE_FIELDS.includes(field) || value === data[field]) return;
+            result.confidence[field] = value ? 1 : 0;
+            result.fields[field] = { value: value, source: SOURCES.MANUAL, confidence: result.confidence[field] };
+        });
+        return result;
+    }
 
-    function validatePassportExpiry(validDate, countryCode) {
-        if (!validDate) return { valid: false, message: 'No expiry date' };
+    // Entry rules by destination (ISO 3166 alpha-2), shipped as country-rules.json and
+    // merged with the agency's overrides from storage. `months` is the validity required
+    // beyond `from`: 'departure' (first day of the trip) or 'return' (last day).
+    // `nationalities` overrides fields for travellers holding that passport (ICAO code).
+    const COUNTRY_RULES_URL = 'country-rules.json';
+    const COUNTRY_RULE_OVERRIDES_KEY = 'countryRuleOverrides';
+    const COUNTRY_RULES = {};
+    const countryRulesInfo = { version: null, updated: null, overridden: [], added: [] };
 
-        const parts = validDate.split('.');
-        if (parts.length !== 3) return { valid: false, message: 'Invalid date format' };
+    // Replaces the active rules in place so references to COUNTRY_RULES stay live
+    function setCountryRules(dataset, overrides) {
+        const base = (dataset && dataset.rules) || {};
+        overrides = overrides || {};
+        Object.keys(COUNTRY_RULES).forEach(code => { delete COUNTRY_RULES[code]; });
+        Object.keys(base).forEach(code => { COUNTRY_RULES[code] = base[code]; });
+        Object.keys(overrides).forEach(code => { COUNTRY_RULES[code] = { ...base[code], ...overrides[code] }; });
 
-        const expiryDate = new Date(parts[2], parts[1] - 1, parts[0]);
-        const now = new Date();
-        const monthsValid = (expiryDate - now) / (1000 * 60 * 60 * 24 * 30);
+        countryRulesInfo.version = dataset ? dataset.version : null;
+        countryRulesInfo.updated = dataset ? dataset.updated : null;
+        countryRulesInfo.overridden = Object.keys(overrides).filter(code => base[code]);
+        countryRulesInfo.added = Object.keys(overrides).filter(code => !base[code]);
+        return COUNTRY_RULES;
+    }
 
-        if (monthsValid < 0) return { valid: false, message: 'PASSPORT EXPIRED' };
+    function getCountryRulesInfo() {
+        return { ...countryRulesInfo, count: Object.keys(COUNTRY_RULES).length };
+    }
+
+    // Checks an imported rule map (or a whole dataset) and keeps only well-formed entries
+    function normalizeCountryRules(input) {
+        const source = input && input.rules ? input.rules : input;
+        const rules = {};
+        const rejected = [];
+        if (!source || typeof source !== 'object' || Array.isArray(source)) return { rules: rules, rejected: rejected };
+
+        Object.keys(source).forEach(key => {
+            const code = key.trim().toUpperCase();
+            const rule = source[key];
+            const valid = /^[A-Z]{2}$/.test(code) && rule && typeof rule === 'object' &&
+                Number.isInteger(rule.months) && rule.months >= 0 && rule.months <= 24 &&
+                (rule.from === undefined || rule.from === 'departure' || rule.from === 'return') &&
+                (rule.name === undefined || typeof rule.name === 'string') &&
+                (rule.aliases === undefined || Array.isArray(rule.aliases)) &&
+                (rule.blankPages === undefined || Number.isInteger(rule.blankPages)) &&
+                (rule.issuedWithinYears === undefined || Number.isInteger(rule.issuedWithinYears)) &&
+                (rule.note === undefined || typeof rule.note === 'string') &&
+                (rule.visa === undefined || isValidVisaMatrix(rule.visa));
+            if (valid) rules[code] = { ...rule, name: rule.name || code };
+            else rejected.push(key);
+        });
+        return { rules: rules, rejected: rejected };
+    }
+
+    function isValidVisaMatrix(visa) {
+        if (!visa || typeof visa !== 'object' || Array.isArray(visa)) return false;
+        return Object.keys(visa).every(nationality => visa[nationality] &&
+            VISA_TYPE_VALUES.includes(visa[nationality].type) &&
+            (visa[nationality].days === undefined || Number.isInteger(visa[nationality].days)));
+    }
+
+    // Loads the bundled dataset and the stored overrides (extension pages and content scripts)
+    function loadCountryRules(callback) {
+        fetch(chrome.runtime.getURL(COUNTRY_RULES_URL))
+            .then(response => response.json())
+            .catch(() => null)
+            .then(dataset => {
+                chrome.storage.local.get([COUNTRY_RULE_OVERRIDES_KEY], function(res) {
+                    setCountryRules(dataset, res && res[COUNTRY_RULE_OVERRIDES_KEY]);
+                    if (callback) callback(getCountryRulesInfo());
+                });
+            });
+    }
 
+    function getCountryRule(countryCode, nationality) {
         const rule = COUNTRY_RULES[countryCode ? countryCode.toUpperCase() : ''];
-        if (!rule) return { valid: true, monthsValid: Math.floor(monthsValid), message: 'OK (no country rule)' };
+        if (!rule) return null;
+        const override = rule.nationalities && nationality ? rule.nationalities[nationality.toUpperCase()] : null;
+        return override ? { ...rule, ...override } : rule;
+    }
 
-        if (rule.months > 0 && monthsValid < rule.months) {
-            return {
-                valid: false,
-                monthsValid: Math.floor(monthsValid),
-                message: 'Passport expires in ' + Math.floor(monthsValid) + ' months, but ' + rule.name + ' requires ' + rule.months + ' months'
-            };
+    // Destination named in a booking-form value: the rule code itself, or a name or alias
+    // as a whole word ("India" does not match "Indian"). '' when none or several match.
+    function findCountry(text) {
+        const value = String(text || '').trim();
+        if (COUNTRY_RULES[value.toUpperCase()]) return value.toUpperCase();
+        const found = Object.keys(COUNTRY_RULES).filter(function(code) {
+            const rule = COUNTRY_RULES[code];
+            return [rule.name].concat(rule.aliases || []).filter(Boolean).some(function(alias) {
+                const escaped = alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                return new RegExp('(?<!\\p{L})' + escaped + '(?!\\p{L})', 'iu').test(value);
+            });
+        });
+        return found.length === 1 ? found[0] : '';
+    }
+
+    // Entry regime for a passport nationality (ICAO code), from the rule's `visa` matrix.
+    // `days` is the permitted stay; a visa-free entry without `days` is the traveller's own country.
+    const VISA_TYPES = { FREE: 'visa_free', ON_ARRIVAL: 'visa_on_arrival', EVISA: 'evisa', REQUIRED: 'visa_required' };
+    const VISA_TYPE_VALUES = Object.keys(VISA_TYPES).map(key => VISA_TYPES[key]);
+    const VISA_ISSUES = {
+        [VISA_TYPES.ON_ARRIVAL]: ISSUES.VISA_ON_ARRIVAL,
+        [VISA_TYPES.EVISA]: ISSUES.EVISA_REQUIRED,
+        [VISA_TYPES.REQUIRED]: ISSUES.VISA_REQUIRED
+    };
+
+    // `trip` may carry departureDate / returnDate to compare the stay with the visa-free period.
+    // `needsAction` is set when the tourist has to arrange a visa before travelling.
+    function checkVisaRequirement(countryCode, nationality, trip) {
+        const rule = getCountryRule(countryCode, nationality);
+        if (!rule || !nationality) return null;
+
+        const code = nationality.toUpperCase();
+        const entry = rule.visa ? rule.visa[code] : null;
+        const params = { country: rule.name, nationality: code };
+        if (!entry) return { type: null, days: 0, needsAction: false, ...issue(ISSUES.VISA_UNKNOWN, params) };
+
+        params.days = entry.days || 0;
+        const result = { type: entry.type, days: params.days, needsAction: false };
+        if (entry.type !== VISA_TYPES.FREE) {
+            return { ...result, needsAction: entry.type !== VISA_TYPES.ON_ARRIVAL, ...issue(VISA_ISSUES[entry.type], params) };
+        }
+        if (!entry.days) return { ...result, ...issue(ISSUES.VISA_NOT_REQUIRED, params) };
+
+        const departure = parseDMY(trip && trip.departureDate);
+        const returnDate = parseDMY(trip && trip.returnDate);
+        if (departure && returnDate) {
+            params.stay = Math.round((returnDate - departure) / 86400000) + 1;
+            if (params.stay > entry.days) return { ...result, needsAction: true, ...issue(ISSUES.VISA_FREE_STAY_EXCEEDED, params) };
+        }
+        return { ...result, ...issue(ISSUES.VISA_FREE, params) };
+    }
+
+    function parseDMY(value) {
+        const parts = (value || '').split('.');
+        if (parts.length !== 3) return null;
+        const date = new Date(parseInt(parts[2]), parseInt(parts[1]) - 1, parseInt(parts[0]));
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    function formatDMY(date) {
+        return [date.getDate(), date.getMonth() + 1].map(n => String(n).padStart(2, '0')).join('.') + '.' + date.getFullYear();
+    }
+
+    // Calendar months, clamped to the last day of a shorter month (31.08 + 6 → 28/29.02)
+    function addMonths(date, months) {
+        const result = new Date(date.getFullYear(), date.getMonth() + months, 1);
+        const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+        result.setDate(Math.min(date.getDate(), lastDay));
+        return result;
+    }
+
+    function monthsBetween(from, to) {
+        let months = (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth();
+        if (to.getDate() < from.getDate()) months--;
+        return months;
+    }
+
+    // Checks the passport against the destination's entry rule. `trip` may carry
+    // departureDate / returnDate (DD.MM.YYYY), issueDate and the traveller's nationality;
+    // without trip dates validity is measured from today.
+    function validatePassportExpiry(validDate, countryCode, trip) {
+        trip = trip || {};
+        if (!validDate) return { valid: false, notes: [], ...issue(ISSUES.EXPIRY_MISSING) };
+
+        const expiryDate = parseDMY(validDate);
+        if (!expiryDate) return { valid: false, notes: [], ...issue(ISSUES.EXPIRY_INVALID, { date: validDate }) };
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const departure = parseDMY(trip.departureDate);
+        const returnDate = parseDMY(trip.returnDate);
+
+        if (expiryDate < today) {
+            return { valid: false, monthsValid: monthsBetween(today, expiryDate), notes: [], ...issue(ISSUES.PASSPORT_EXPIRED, { date: validDate }) };
+        }
+
+        const rule = getCountryRule(countryCode, trip.nationality);
+        const from = rule && rule.from === 'return' && returnDate ? 'return' : (departure ? 'departure' : 'today');
+        const reference = from === 'return' ? returnDate : (from === 'departure' ? departure : today);
+        const months = monthsBetween(reference, expiryDate);
+        const result = { valid: true, monthsValid: months, notes: [], rule: rule };
+
+        if (!rule) return { ...result, ...issue(ISSUES.EXPIRY_OK, { months: months }) };
+
+        const params = { months: months, required: rule.months, country: rule.name, from: from, date: formatDMY(reference) };
+        if (rule.blankPages) result.notes.push(issue(ISSUES.BLANK_PAGES_REQUIRED, { pages: rule.blankPages, country: rule.name }));
+        if (rule.note) result.notes.push(issue(ISSUES.COUNTRY_NOTE, { country: rule.name, note: rule.note }));
+
+        if (rule.issuedWithinYears) {
+            const issueDate = parseDMY(trip.issueDate);
+            if (!issueDate) {
+                result.notes.push(issue(ISSUES.ISSUE_DATE_UNKNOWN, { years: rule.issuedWithinYears, country: rule.name }));
+            } else if (addMonths(issueDate, rule.issuedWithinYears * 12) < (departure || today)) {
+                return { ...result, valid: false, ...issue(ISSUES.PASSPORT_TOO_OLD, { years: rule.issuedWithinYears, country: rule.name, date: trip.issueDate }) };
+            }
+        }
+
+        if (rule.months > 0 && expiryDate < addMonths(reference, rule.months)) {
+            params.until = formatDMY(addMonths(reference, rule.months));
+            return { ...result, valid: false, ...issue(ISSUES.EXPIRY_TOO_SOON_FOR_COUNTRY, params) };
         }
 
-        return { valid: true, monthsValid: Math.floor(monthsValid), message: 'OK for ' + rule.name };
+        return { ...result, ...issue(ISSUES.EXPIRY_OK_FOR_COUNTRY, params) };
     }
 
     return {
         parse,
+        applyManualEdits,
+        SOURCES,
+        ISSUES,
         validateIIN,
         validateIINFull,
         extractFromIIN,
         parseMRZ,
+        scoreMRZText,
+        classifyPage,
+        groupDocumentPages,
+        pickDocumentText,
+        PAGE_TYPES,
+        readField,
+        transliterateCyrillic,
+        cyrillicMatchesLatin,
+        computeCheckDigit,
+        verifyCheckDigit,
         validatePassportExpiry,
+        checkVisaRequirement,
+        VISA_TYPES,
+        getCountryRule,
+        findCountry,
+        setCountryRules,
+        getCountryRulesInfo,
+        normalizeCountryRules,
+        loadCountryRules,
+        COUNTRY_RULE_OVERRIDES_KEY,
+        ISSUING_STATES,
+        toTemplate,
+        fromTemplate,
         COUNTRY_RULES
     };
 })();
@@ -54,10 +54,12 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
     /* ==================== SETTINGS ==================== */
 
     function loadSettings() {
-        chrome.storage.local.get(['defaultEmail', 'defaultPhone', 'autoFill', 'language', 'rateSource'], function(res) {
+        chrome.storage.local.get(['defaultEmail', 'defaultPhone', 'autoFill', 'autoFillThreshold', 'ocrDebug', 'language', 'rateSource'], function(res) {
             if (res.defaultEmail) document.getElementById('email').value = res.defaultEmail;
             if (res.defaultPhone) document.getElementById('phone').value = res.defaultPhone;
             document.getElementById('autoFill').checked = res.autoFill || false;
+            document.getElementById('autoFillThreshold').value = typeof res.autoFillThreshold === 'number' ? res.autoFillThreshold : 80;
+            document.getElementById('ocrDebug').checked = res.ocrDebug || false;
             var lang = res.language || 'ru';
             setLang(lang);
             document.getElementById('langRu').classList.toggle('active', lang === 'ru');
@@ -72,6 +74,9 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
         var email = document.getElementById('email').value.trim();
         var phone = document.getElementById('phone').value.trim();
         var autoFill = document.getElementById('autoFill').checked;
+        var threshold = parseInt(document.getElementById('autoFillThreshold').value, 10);
+        if (isNaN(threshold)) threshold = 80;
+        threshold = Math.min(100, Math.max(0, threshold));
         var hasError = false;
 
         var emailInput = document.getElementById('email');
@@ -109,6 +114,8 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
             defaultEmail: email,
             defaultPhone: cleanPhone,
             autoFill: autoFill,
+            autoFillThreshold: threshold,
+            ocrDebug: document.getElementById('ocrDebug').checked,
             rateSource: rateSource
         }, function() {
             showMsg(t('saved'), 'success');
@@ -288,10 +295,14 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
             surname: document.getElementById('tplSurname').value.trim(),
             givenName: document.getElementById('tplGivenName').value.trim(),
             passport: document.getElementById('tplPassport').value.trim(),
+            pserie: document.getElementById('tplSerie').value.trim(),
             iin: document.getElementById('tplIIN').value.trim(),
             birthDate: document.getElementById('tplBirth').value.trim(),
             validDate: document.getElementById('tplValid').value.trim(),
             gender: document.getElementById('tplGender').value,
+            nationality: document.getElementById('tplNationality').value.trim().toUpperCase(),
+            issuingState: document.getElementById('tplIssuingState').value.trim().toUpperCase(),
+            authority: document.getElementById('tplAuthority').value.trim(),
             email: document.getElementById('tplEmail').value.trim(),
             phone: document.getElementById('tplPhone').value.trim()
         };
@@ -308,7 +319,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
     }
 
     function clearTemplateForm() {
-        ['tplName','tplSurname','tplGivenName','tplPassport','tplIIN','tplBirth','tplValid','tplEmail','tplPhone'].forEach(function(id) {
+        ['tplName','tplSurname','tplGivenName','tplPassport','tplSerie','tplIIN','tplBirth','tplValid','tplNationality','tplIssuingState','tplAuthority','tplEmail','tplPhone'].forEach(function(id) {
             document.getElementById(id).value = '';
         });
         document.getElementById('tplGender').value = '1';
@@ -381,7 +392,12 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
                     await scriptLoaded;
                 }
                 
-                var worker = await Tesseract.createWorker('eng');
+                var missingOcr = await OcrAssets.verify();
+                if (missingOcr.length) {
+                    showToast('OCR files missing: ' + missingOcr.join(', '));
+                    return;
+                }
+                var worker = await Tesseract.createWorker('eng', Tesseract.OEM.LSTM_ONLY, OcrAssets.getWorkerOptions());
                 var result = await worker.recognize(img);
                 await worker.terminate();
                 fullText = result.data.text;
@@ -403,9 +419,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
                 });
                 var pdf = await pdfjs.getDocument({ data: new Uint8Array(arrayBuffer), disableRange: true, disableStream: true, isEvalSupported: false }).promise;
                 try {
-                    var page = await pdf.getPage(1);
-                    var textContent = await page.getTextContent();
-                    fullText = textContent.items.map(function(item) { return item.str; }).join('\n');
+                    fullText = PassportParser.pickDocumentText(await readPdfPages(pdf));
                 } finally {
                     if (pdf && typeof pdf.cleanup === 'function') await pdf.cleanup();
                     if (pdf && typeof pdf.destroy === 'function') await pdf.destroy();
@@ -414,13 +428,15 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
 
             var parsed = PassportParser.parse(fullText);
 
-            if (parsed.surname) document.getElementById('tplSurname').value = parsed.surname;
-            if (parsed.name) document.getElementById('tplGivenName').value = parsed.name;
-            if (parsed.number) document.getElementById('tplPassport').value = parsed.number;
-            if (parsed.iin) document.getElementById('tplIIN').value = parsed.iin;
-            if (parsed.birthDate) document.getElementById('tplBirth').value = parsed.birthDate;
-            if (parsed.validDate) document.getElementById('tplValid').value = parsed.validDate;
-            if (parsed.gender) document.getElementById('tplGender').value = parsed.gender;
+            var fields = PassportParser.toTemplate(parsed);
+            var inputs = {
+                surname: 'tplSurname', givenName: 'tplGivenName', passport: 'tplPassport', pserie: 'tplSerie',
+                iin: 'tplIIN', birthDate: 'tplBirth', validDate: 'tplValid', gender: 'tplGender',
+                nationality: 'tplNationality', issuingState: 'tplIssuingState', authority: 'tplAuthority'
+            };
+            Object.keys(inputs).forEach(function(key) {
+                if (fields[key]) document.getElementById(inputs[key]).value = fields[key];
+            });
 
             chrome.storage.local.get(['defaultEmail', 'defaultPhone'], function(res) {
                 if (res.defaultEmail) document.getElementById('tplEmail').value = res.defaultEmail;
@@ -491,19 +507,27 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
             return;
         }
 
-        var validation = PassportParser.validatePassportExpiry(dateStr, country);
+        var trip = {
+            departureDate: document.getElementById('tripDeparture').value.trim(),
+            returnDate: document.getElementById('tripReturn').value.trim(),
+            nationality: document.getElementById('passportNationality').value
+        };
+        var validation = PassportParser.validatePassportExpiry(dateStr, country, trip);
+        var visa = PassportParser.checkVisaRequirement(country, trip.nationality, trip);
+        var notes = (validation.notes || []).concat(visa ? [visa] : []);
+        var notesHtml = notes.map(function(n) { return '<br>' + escapeHtml(formatIssue(n)); }).join('');
 
         if (!validation.valid) {
             var isExpired = validation.monthsValid !== undefined && validation.monthsValid < 0;
             input.classList.remove('success', 'warning');
             input.classList.add(isExpired ? 'error' : 'warning');
             result.className = 'tool-result show ' + (isExpired ? 'error' : 'warning');
-            result.innerHTML = '<div class="tool-result-title">' + (isExpired ? t('passport_expired') : t('passport_expires_warning')) + '</div>' + escapeHtml(validation.message);
+            result.innerHTML = '<div class="tool-result-title">' + (isExpired ? t('passport_expired') : t('passport_expires_warning')) + '</div>' + escapeHtml(formatIssue(validation)) + notesHtml;
         } else {
             input.classList.remove('error', 'warning');
             input.classList.add('success');
-            result.className = 'tool-result show success';
-            result.innerHTML = '<div class="tool-result-title">' + t('valid_passport') + '</div>' + escapeHtml(validation.message);
+            result.className = 'tool-result show ' + (visa && visa.needsAction ? 'warning' : 'success');
+            result.innerHTML = '<div class="tool-result-title">' + t('valid_passport') + '</div>' + escapeHtml(formatIssue(validation)) + notesHtml;
         }
     }
 
@@ -810,6 +834,179 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
         }
     }
 
+    /* ==================== COUNTRY RULES ==================== */
+
+    function loadCountryRules() {
+        PassportParser.loadCountryRules(function() {
+            renderCountrySelect();
+            renderCountryRules();
+        });
+    }
+
+    function describeRule(rule) {
+        if (!rule.months) return t('no_requirement');
+        return t('rule_months_value').replace('{months}', rule.months) + ' / ' + t(rule.from === 'return' ? 'return_date' : 'departure_date');
+    }
+
+    function renderCountrySelect() {
+        var select = document.getElementById('passportCountry');
+        if (!select) return;
+        var current = select.value;
+        var html = '<option value="" data-i18n="any">' + escapeHtml(t('any')) + '</option>';
+        Object.keys(PassportParser.COUNTRY_RULES).forEach(function(code) {
+            var rule = PassportParser.COUNTRY_RULES[code];
+            html += '<option value="' + escapeHtml(code) + '">' + escapeHtml(rule.name + ' (' + describeRule(rule) + ')') + '</option>';
+        });
+        select.innerHTML = html;
+        select.value = PassportParser.COUNTRY_RULES[current] ? current : '';
+    }
+
+    function renderCountryRules() {
+        var listEl = document.getElementById('countryRuleList');
+        if (!listEl) return;
+
+        var info = PassportParser.getCountryRulesInfo();
+        var local = info.overridden.concat(info.added);
+        document.getElementById('countryRulesInfo').textContent =
+            t('rules_dataset').replace('{version}', info.version || '—').replace('{count}', info.count) +
+            (local.length ? ' · ' + t('rules_local_count').replace('{count}', local.length) : '');
+
+        var html = '';
+        Object.keys(PassportParser.COUNTRY_RULES).forEach(function(code) {
+            var rule = PassportParser.COUNTRY_RULES[code];
+            var isLocal = local.includes(code);
+            html += '<div class="domain-item ' + (isLocal ? '' : 'default') + '" data-code="' + escapeHtml(code) + '">';
+            html += '<span class="domain-site">' + escapeHtml(code) + '</span>';
+            html += '<span class="domain-pattern">' + escapeHtml(rule.name + ' — ' + describeRule(rule)) + '</span>';
+            if (isLocal) {
+                html += '<span class="rule-local">' + escapeHtml(t('rule_local')) + '</span>';
+                html += '<button class="domain-remove" data-code="' + escapeHtml(code) + '" title="' + escapeHtml(t('rule_reset')) + '">&times;</button>';
+            }
+            html += '</div>';
+        });
+        listEl.innerHTML = html;
+
+        listEl.querySelectorAll('.domain-item').forEach(function(item) {
+            item.addEventListener('click', function() {
+                editCountryRule(this.getAttribute('data-code'));
+            });
+        });
+
+        listEl.querySelectorAll('.domain-remove').forEach(function(btn) {
+            btn.addEventListener('click', function(e) {
+                e.stopPropagation();
+                var code = this.getAttribute('data-code');
+                getRuleOverrides(function(overrides) {
+                    delete overrides[code];
+                    saveRuleOverrides(overrides, t('rule_reset_done'));
+                });
+            });
+        });
+    }
+
+    function editCountryRule(code) {
+        var rule = PassportParser.COUNTRY_RULES[code];
+        if (!rule) return;
+        document.getElementById('ruleCode').value = code;
+        document.getElementById('ruleName').value = rule.name || '';
+        document.getElementById('ruleMonths').value = rule.months || 0;
+        document.getElementById('ruleFrom').value = rule.from === 'return' ? 'return' : 'departure';
+        document.getElementById('ruleBlankPages').value = rule.blankPages || '';
+        document.getElementById('ruleNote').value = rule.note || '';
+    }
+
+    function getRuleOverrides(callback) {
+        var key = PassportParser.COUNTRY_RULE_OVERRIDES_KEY;
+        chrome.storage.local.get([key], function(res) {
+            callback((res && res[key]) || {});
+        });
+    }
+
+    function saveRuleOverrides(overrides, message) {
+        var data = {};
+        data[PassportParser.COUNTRY_RULE_OVERRIDES_KEY] = overrides;
+        chrome.storage.local.set(data, function() {
+            showToast(message);
+            loadCountryRules();
+        });
+    }
+
+    // Overrides store only the edited fields; aliases and nationality exceptions come from the dataset
+    function saveCountryRule() {
+        var code = document.getElementById('ruleCode').value.trim().toUpperCase();
+        var rule = {
+            months: parseInt(document.getElementById('ruleMonths').value, 10),
+            from: document.getElementById('ruleFrom').value,
+            name: document.getElementById('ruleName').value.trim() || code,
+            blankPages: parseInt(document.getElementById('ruleBlankPages').value, 10) || 0,
+            note: document.getElementById('ruleNote').value.trim()
+        };
+        var input = {};
+        input[code] = rule;
+        var checked = PassportParser.normalizeCountryRules(input);
+        if (!checked.rules[code]) {
+            showToast(t('invalid_rule'));
+            return;
+        }
+        getRuleOverrides(function(overrides) {
+            overrides[code] = checked.rules[code];
+            saveRuleOverrides(overrides, t('rule_saved'));
+        });
+    }
+
+    function importCountryRules() {
+        var input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.style.display = 'none';
+        input.addEventListener('change', function(e) {
+            var file = e.target.files[0];
+            if (!file) return;
+            var reader = new FileReader();
+            reader.onload = function(ev) {
+                var checked;
+                try {
+                    checked = PassportParser.normalizeCountryRules(JSON.parse(ev.target.result));
+                } catch (err) {
+                    showToast(t('invalid_json'));
+                    return;
+                } finally {
+                    if (input.parentNode) input.parentNode.removeChild(input);
+                }
+                var codes = Object.keys(checked.rules);
+                if (!codes.length) {
+                    showToast(t('invalid_json'));
+                    return;
+                }
+                getRuleOverrides(function(overrides) {
+                    codes.forEach(function(code) { overrides[code] = checked.rules[code]; });
+                    var message = t('rules_imported').replace('{count}', codes.length);
+                    if (checked.rejected.length) message += ', ' + t('rules_rejected').replace('{codes}', checked.rejected.join(', '));
+                    saveRuleOverrides(overrides, message);
+                });
+            };
+            reader.onerror = function() {
+                showToast(t('import_failed'));
+                if (input.parentNode) input.parentNode.removeChild(input);
+            };
+            reader.readAsText(file);
+        }, { once: true });
+        document.body.appendChild(input);
+        input.click();
+    }
+
+    function exportCountryRules() {
+        getRuleOverrides(function(overrides) {
+            var payload = { exported: new Date().toISOString(), rules: overrides };
+            var blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+            var a = document.createElement('a');
+            a.href = URL.createObjectURL(blob);
+            a.download = 'country-rules-overrides-' + new Date().toISOString().slice(0, 10) + '.json';
+            a.click();
+            URL.revokeObjectURL(a.href);
+        });
+    }
+
     /* ==================== EXPORT / IMPORT ==================== */
 
     function exportSettings() {
@@ -981,6 +1178,17 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
         });
     }
 
+    // Text layer of every page; PassportParser.pickDocumentText chooses the passport page
+    async function readPdfPages(pdf) {
+        var pages = [];
+        for (var pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+            var page = await pdf.getPage(pageNum);
+            var textContent = await page.getTextContent();
+            pages.push(textContent.items.map(function(item) { return item.str; }).join('\n'));
+        }
+        return pages;
+    }
+
     async function parsePdfToTools(file) {
         var preview = document.getElementById('pdfPreview');
         if (!preview) return;
@@ -1008,9 +1216,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
             var pdf = await pdfjs.getDocument({ data: new Uint8Array(arrayBuffer), disableRange: true, disableStream: true, isEvalSupported: false }).promise;
             var fullText = '';
             try {
-                var page = await pdf.getPage(1);
-                var textContent = await page.getTextContent();
-                fullText = textContent.items.map(function(item) { return item.str; }).join('\n');
+                fullText = PassportParser.pickDocumentText(await readPdfPages(pdf));
             } finally {
                 if (pdf && typeof pdf.cleanup === 'function') await pdf.cleanup();
                 if (pdf && typeof pdf.destroy === 'function') await pdf.destroy();
@@ -1022,12 +1228,19 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
 
             var html = '<div class="tool-result-title">' + escapeHtml(parsed.surname || '') + ' ' + escapeHtml(parsed.name || '') + '</div>';
             html += '<div class="tool-result-data">';
+            if (parsed.surnameCyrillic || parsed.nameCyrillic) {
+                html += '<dt>' + t('cyrillic_name') + '</dt><dd>' + escapeHtml([parsed.surnameCyrillic, parsed.nameCyrillic].filter(Boolean).join(' ')) + '</dd>';
+            }
             html += '<dt>Passport</dt><dd>' + escapeHtml(parsed.number || '-') + '</dd>';
             html += '<dt>IIN</dt><dd>' + escapeHtml(parsed.iin || '-') + (parsed.iin ? (iinValid ? ' ✓' : ' ✗') : '') + '</dd>';
             html += '<dt>Birth</dt><dd>' + escapeHtml(parsed.birthDate || '-') + '</dd>';
             html += '<dt>Valid</dt><dd>' + escapeHtml(parsed.validDate || '-') + '</dd>';
             html += '<dt>Gender</dt><dd>' + (parsed.gender === '1' ? t('male') : parsed.gender === '0' ? t('female') : '-') + '</dd>';
             html += '</div>';
+            var issues = parsed.errors.concat(parsed.warnings);
+            if (issues.length) {
+                html += '<div style="font-size:10px;color:var(--warning);margin-top:6px;">' + escapeHtml(issues.map(formatIssue).join('; ')) + '</div>';
+            }
 
             preview.className = 'tool-result show ' + (parsed.isValid ? 'success' : 'warning');
             preview.innerHTML = html;
@@ -1203,7 +1416,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
             html += '<div style="font-size:10px;color:var(--text-muted);margin-top:2px;">' + escapeHtml(h.passport || '') + ' | IIN: ' + escapeHtml(h.iin || '') + '</div>';
             html += '<span style="display:inline-block;padding:2px 8px;border-radius:4px;font-size:9px;font-weight:600;background:color-mix(in srgb, var(--' + statusClass + ') 15%, transparent);color:var(--' + statusClass + ');">' + statusText + '</span>';
             if (h.warnings && h.warnings.length) {
-                html += '<div style="font-size:9px;color:var(--warning);margin-top:4px;">' + escapeHtml(h.warnings.join('; ')) + '</div>';
+                html += '<div style="font-size:9px;color:var(--warning);margin-top:4px;">' + escapeHtml(h.warnings.map(formatIssue).join('; ')) + '</div>';
             }
             html += '</div>';
         });
@@ -1230,6 +1443,7 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
         loadSettings();
         loadDomains();
         loadCredentials();
+        loadCountryRules();
 
         document.getElementById('saveBtn').addEventListener('click', saveSettings);
         document.getElementById('checkUpdateBtn').addEventListener('click', checkForUpdate);
@@ -1245,6 +1459,9 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
         document.getElementById('checkPassportBtn').addEventListener('click', checkPassport);
         document.getElementById('calcAgeBtn').addEventListener('click', calculateAge);
         document.getElementById('translitBtn').addEventListener('click', transliterate);
+        document.getElementById('saveRuleBtn').addEventListener('click', saveCountryRule);
+        document.getElementById('importRulesBtn').addEventListener('click', importCountryRules);
+        document.getElementById('exportRulesBtn').addEventListener('click', exportCountryRules);
 
         document.getElementById('iinInput').addEventListener('input', function() {
             this.value = this.value.replace(/\D/g, '').slice(0, 12);
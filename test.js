@@ -17,13 +17,15 @@ function assertEqual(actual, expected, message) {
 // Load modules
 const parserCode = fs.readFileSync(path.join(__dirname, 'passport-parser.js'), 'utf8');
 const PassportParser = new Function('self', parserCode + '\nreturn self.PassportParser || PassportParser;')(globalThis);
+const countryRulesDataset = JSON.parse(fs.readFileSync(path.join(__dirname, 'country-rules.json'), 'utf8'));
+PassportParser.setCountryRules(countryRulesDataset);
 
 const i18nCode = fs.readFileSync(path.join(__dirname, 'i18n.js'), 'utf8');
 const I18N = new Function(i18nCode + '\nreturn I18N;')();
 
 // Syntax check all JS files
 console.log('\n=== Syntax Check ===');
-['content.js', 'popup.js', 'background.js', 'i18n.js', 'passport-parser.js', 'build.js'].forEach(function(file) {
+['content.js', 'popup.js', 'background.js', 'i18n.js', 'passport-parser.js', 'ocr-assets.js', 'image-preprocess.js', 'ocr-pipeline.js', 'image-formats.js', 'zip-reader.js', 'parse-image.js', 'build.js'].forEach(function(file) {
     try {
         new Function(fs.readFileSync(path.join(__dirname, file), 'utf8'));
         passed++;
@@ -51,6 +53,15 @@ try {
     assert(manifest.content_scripts[0].js.includes('i18n.js'), 'i18n.js in content scripts');
     assert(manifest.content_scripts[0].js.includes('passport-parser.js'), 'passport-parser.js in content scripts');
     assert(manifest.content_scripts[0].all_frames === true, 'all_frames is true');
+    assert(parseFloat(manifest.browser_specific_settings.gecko.strict_min_version) >= 113, 'Firefox minimum has DecompressionStream deflate-raw');
+    assert(manifest.web_accessible_resources[0].resources.includes('country-rules.json'), 'country-rules.json is web accessible');
+    const contentScripts = manifest.content_scripts[0].js;
+    assert(contentScripts.indexOf('ocr-assets.js') > contentScripts.indexOf('lib/tesseract.min.js') && contentScripts.indexOf('ocr-assets.js') < contentScripts.indexOf('content.js'), 'ocr-assets.js loads before content.js');
+    assert(contentScripts.indexOf('image-preprocess.js') !== -1 && contentScripts.indexOf('image-preprocess.js') < contentScripts.indexOf('content.js'), 'image-preprocess.js loads before content.js');
+    assert(contentScripts.indexOf('ocr-pipeline.js') > contentScripts.indexOf('image-preprocess.js') && contentScripts.indexOf('ocr-pipeline.js') < contentScripts.indexOf('content.js'), 'ocr-pipeline.js loads after its dependencies, before content.js');
+    assert(contentScripts.indexOf('image-formats.js') !== -1 && contentScripts.indexOf('image-formats.js') < contentScripts.indexOf('content.js'), 'image-formats.js loads before content.js');
+    assert(contentScripts.indexOf('zip-reader.js') !== -1 && contentScripts.indexOf('zip-reader.js') < contentScripts.indexOf('content.js'), 'zip-reader.js loads before content.js');
+    assert(['lib/tesseract/*', 'lib/tesseract/core/*', 'lib/tesseract/lang/*'].every(r => manifest.web_accessible_resources[0].resources.includes(r)), 'bundled OCR files are web accessible');
 } catch(e) {
     failed++;
     console.error('  FAIL: manifest.json error: ' + e.message);
@@ -58,7 +69,7 @@ try {
 
 // File existence
 console.log('\n=== File Existence ===');
-['content.js', 'popup.js', 'background.js', 'i18n.js', 'passport-parser.js', 'style.css', 'popup.html', 'build.js',
+['content.js', 'popup.js', 'background.js', 'i18n.js', 'passport-parser.js', 'country-rules.json', 'ocr-assets.js', 'image-preprocess.js', 'ocr-pipeline.js', 'style.css', 'popup.html', 'build.js',
  'lib/pdf.min.js', 'lib/pdf.worker.min.js', 'lib/utils.js',
  'icons/icon.png', 'icons/icon16.png', 'icons/icon48.png'].forEach(function(file) {
     assert(fs.existsSync(path.join(__dirname, file)), file + ' exists');
@@ -96,12 +107,36 @@ assert(expOk.monthsValid > 0, 'passport has positive months valid');
 const expPast = PassportParser.validatePassportExpiry('01.01.2020', 'TR');
 assertEqual(expPast.valid, false, 'expired passport invalid');
 
-const expSoon = PassportParser.validatePassportExpiry('01.01.' + (new Date().getFullYear() + 1), 'TR');
+function dateFromToday(months, days) {
+    const d = new Date();
+    const result = new Date(d.getFullYear(), d.getMonth() + months, d.getDate() + (days || 0));
+    return [result.getDate(), result.getMonth() + 1].map(n => String(n).padStart(2, '0')).join('.') + '.' + result.getFullYear();
+}
+const expSoon = PassportParser.validatePassportExpiry(dateFromToday(12), 'TR');
 assertEqual(expSoon.valid, true, 'passport valid 1 year for Turkey');
 
 const expGeorgia = PassportParser.validatePassportExpiry('01.01.' + (new Date().getFullYear() + 1), 'GE');
 assertEqual(expGeorgia.valid, true, 'passport valid for Georgia (no requirement)');
 
+// Destination rules against trip dates
+console.log('\n=== Trip Rules ===');
+const tripDates = { departureDate: dateFromToday(2), returnDate: dateFromToday(2, 10) };
+assertEqual(PassportParser.validatePassportExpiry(dateFromToday(7), 'TR').valid, true, '7 months from today is enough for Turkey');
+assertEqual(PassportParser.validatePassportExpiry(dateFromToday(7), 'TR', tripDates).valid, false, 'but not 6 months beyond a departure in 2 months');
+assertEqual(PassportParser.validatePassportExpiry(dateFromToday(7), 'TR', tripDates).params.from, 'departure', 'Turkey counts from departure');
+const schengenTrip = { departureDate: dateFromToday(2), returnDate: dateFromToday(4), issueDate: dateFromToday(-12) };
+const greeceShort = PassportParser.validatePassportExpiry(dateFromToday(6, 15), 'GR', schengenTrip);
+assertEqual(greeceShort.valid, false, 'Schengen needs 3 months beyond return');
+assertEqual(greeceShort.params.from, 'return', 'Schengen counts from return');
+assertEqual(PassportParser.validatePassportExpiry(dateFromToday(8), 'GR', schengenTrip).valid, true, 'Schengen passport valid long enough');
+const greeceOld = PassportParser.validatePassportExpiry(dateFromToday(24), 'GR', { ...schengenTrip, issueDate: dateFromToday(-121) });
+assertEqual(greeceOld.code, 'PASSPORT_TOO_OLD', 'Schengen rejects passports issued over 10 years ago');
+assert(PassportParser.validatePassportExpiry(dateFromToday(24), 'GR', schengenTrip).notes.some(n => n.code === 'BLANK_PAGES_REQUIRED'), 'Schengen blank pages noted');
+assert(PassportParser.validatePassportExpiry(dateFromToday(24), 'GR', tripDates).notes.some(n => n.code === 'ISSUE_DATE_UNKNOWN'), 'unknown issue date noted for Schengen');
+assertEqual(PassportParser.validatePassportExpiry(dateFromToday(1), 'UZ', { nationality: 'KAZ' }).valid, true, 'Kazakh citizens need no extra validity for Uzbekistan');
+assertEqual(PassportParser.validatePassportExpiry(dateFromToday(1), 'UZ', { nationality: 'TUR' }).valid, false, 'other nationalities need 3 months for Uzbekistan');
+assertEqual(PassportParser.validatePassportExpiry('31.08.2099', 'TR').monthsValid > 800, true, 'calendar months counted');
+
 // MRZ parsing
 console.log('\n=== MRZ Parsing ===');
 const mrzText = 'P<KAZALINA<<AINUR<<<<<<<<<<<<<<<<<<<<<<<<<<\nN15135160KAZ8009294F3302263<<<<<<<<<<<<<<00';
@@ -111,6 +146,262 @@ if (mrzData) {
     assertEqual(mrzData.name, 'AINUR', 'MRZ name');
 }
 
+// MRZ check digits (ICAO 9303 specimen)
+console.log('\n=== MRZ Check Digits ===');
+const icaoMrz = 'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<\nL898902C36UTO7408122F1204159ZE184226B<<<<<10';
+assertEqual(PassportParser.computeCheckDigit('L898902C3'), 6, 'check digit of document number');
+assertEqual(PassportParser.computeCheckDigit('740812'), 2, 'check digit of birth date');
+assertEqual(PassportParser.verifyCheckDigit('<<<<<<<<<<<<<<', '<'), true, 'filler check digit for empty optional data');
+assertEqual(PassportParser.verifyCheckDigit('740812', 'X'), false, 'non-digit check digit fails');
+const icaoParsed = PassportParser.parse(icaoMrz);
+assertEqual(icaoParsed.mrzFormat, 'TD3', 'MRZ format TD3');
+assertEqual(icaoParsed.mrzVerified, true, 'specimen MRZ verified');
+assertEqual(icaoParsed.mrzChecks.composite, true, 'composite check digit');
+assertEqual(icaoParsed.confidence.number, 1, 'checked number has full confidence');
+const badMrz = PassportParser.parse(icaoMrz.replace('L898902C36', 'L898902C37'));
+assertEqual(badMrz.mrzVerified, false, 'misread MRZ not verified');
+assertEqual(badMrz.mrzChecks.number, false, 'number check digit fails');
+assert(badMrz.confidence.number < 0.5, 'failed number has low confidence');
+assert(badMrz.warnings.some(w => w.code === 'MRZ_CHECK_FAILED' && w.params.field === 'number'), 'failed check digit reported in warnings');
+assertEqual(PassportParser.parseMRZ(icaoMrz).gender, '0', 'TD3 gender F is female');
+assertEqual(PassportParser.parseMRZ(icaoMrz.replace('7408122F', '7408122M')).gender, '1', 'TD3 gender M is male');
+assertEqual(PassportParser.parseMRZ(icaoMrz.replace('7408122F', '7408122<')).gender, '', 'TD3 unspecified sex (<) left empty, not female');
+
+// MRZ OCR correction
+console.log('\n=== MRZ OCR Correction ===');
+const ocrMrz = PassportParser.parse('PKUT0ERIKSS0N<<ANNA<MARIA<<<K<<<<<<<<<<<K<<<\nL8989O2C36UT074O8122F12O4159ZE184226B<<<<<1O');
+assertEqual(ocrMrz.surname, 'ERIKSSON', 'corrected surname (0 -> O)');
+assertEqual(ocrMrz.name, 'ANNA MARIA', 'filler K read as < in name line');
+assertEqual(ocrMrz.nationality, 'UTO', 'corrected nationality');
+assertEqual(ocrMrz.birthDate, '12.08.1974', 'corrected birth date (O -> 0)');
+assertEqual(ocrMrz.mrzVerified, true, 'corrected MRZ passes check digits');
+assert(ocrMrz.warnings.some(w => w.code === 'MRZ_CORRECTED' && w.params.from === 'L8989O2C36' && w.params.to === 'L898902C36'), 'number correction listed in warnings');
+const unfixable = PassportParser.parse(icaoMrz.replace('L898902C36', 'L898902C86'));
+assertEqual(unfixable.mrzChecks.number, false, 'no guess when no cheap substitution passes');
+
+// TD1 / TD2
+console.log('\n=== TD1 / TD2 MRZ ===');
+const td1 = PassportParser.parseMRZ('IDKAZ0456789126800929401181<<<\n8009294F3001019KAZ<<<<<<<<<<<5\nALINA<<AINUR<<<<<<<<<<<<<<<<<<');
+assertEqual(td1.format, 'TD1', 'TD1 format detected');
+assertEqual(td1.surname, 'ALINA', 'TD1 surname from line 3');
+assertEqual(td1.name, 'AINUR', 'TD1 name from line 3');
+assertEqual(td1.number, '045678912', 'TD1 document number');
+assertEqual(td1.nationality, 'KAZ', 'TD1 nationality from line 2');
+assertEqual(td1.optionalData[0], '800929401181', 'TD1 optional data holds IIN');
+assertEqual(td1.birthDate, '29.09.1980', 'TD1 birth date');
+assertEqual(td1.gender, '0', 'TD1 gender');
+assertEqual(PassportParser.parse('IDKAZ0456789126800929401181<<<\n8009294F3001019KAZ<<<<<<<<<<<5\nALINA<<AINUR<<<<<<<<<<<<<<<<<<').mrzVerified, true, 'TD1 check digits verified');
+const td1Uto = PassportParser.parseMRZ('I<UTOD231458907<<<<<<<<<<<<<<<\n7408122F1204159UTO<<<<<<<<<<<6\nERIKSSON<<ANNA<MARIA<<<<<<<<<<');
+assertEqual(td1Uto.nationality, 'UTO', 'TD1 nationality not hardcoded');
+assertEqual(td1Uto.checks.composite, true, 'TD1 composite spans lines 1 and 2');
+const td2 = PassportParser.parseMRZ('I<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<\nD231458907UTO7408122F1204159<<<<<<<6');
+assertEqual(td2.format, 'TD2', 'TD2 format detected');
+assertEqual(td2.name, 'ANNA MARIA', 'TD2 given names');
+assertEqual(td2.number, 'D23145890', 'TD2 document number');
+assertEqual(td2.checks.composite, true, 'TD2 composite check digit');
+
+console.log('\n=== IIN from MRZ ===');
+const kazTd3 = 'P<KAZALINA<<AINUR<<<<<<<<<<<<<<<<<<<<<<<<<<<\nN151351605KAZ8009294F3302266800929401181<<52';
+assertEqual(PassportParser.parseMRZ(kazTd3).optionalData[0], '800929401181', 'TD3 optional data holds IIN');
+const kazTd3Parsed = PassportParser.parse('No 123456789012\n' + kazTd3);
+assertEqual(kazTd3Parsed.iin, '800929401181', 'MRZ IIN preferred over free-text number');
+assertEqual(kazTd3Parsed.iinSource, 'mrz', 'IIN source recorded as mrz');
+assertEqual(kazTd3Parsed.confidence.iin, 1, 'MRZ IIN with optional check digit is fully confident');
+const kazTd1Parsed = PassportParser.parse('IDKAZ0456789126800929401181<<<\n8009294F3001019KAZ<<<<<<<<<<<5\nALINA<<AINUR<<<<<<<<<<<<<<<<<<');
+assertEqual(kazTd1Parsed.iin, '800929401181', 'TD1 IIN taken from optional data');
+assertEqual(kazTd1Parsed.iinSource, 'mrz', 'TD1 IIN source recorded as mrz');
+
+console.log('\n=== MRZ Date Century ===');
+const elderly = PassportParser.parse('P<KAZTESTOVA<<ANNA<<<<<<<<<<<<<<<<<<<<<<<<<<\nN123456785KAZ4501011F4501011450101400008<<78');
+assertEqual(elderly.birthDate, '01.01.1945', 'birth year 45 resolved to 1945');
+assertEqual(elderly.validDate, '01.01.2045', 'expiry year 45 resolved to 2045');
+assertEqual(PassportParser.parseMRZ(icaoMrz).validDate, '15.04.2012', 'past expiry stays in its century');
+const centenarian = PassportParser.parse('P<KAZTESTOVA<<ANNA<<<<<<<<<<<<<<<<<<<<<<<<<<\nN123456785KAZ2001012F3001019200101400007<<72');
+assertEqual(centenarian.birthDate, '01.01.1920', 'IIN century digit overrides MRZ birth century');
+assert(centenarian.warnings.some(w => w.code === 'MRZ_CENTURY_MISMATCH' && w.params.iin === '01.01.1920'), 'century disagreement reported');
+assertEqual(elderly.warnings.length, 0, 'no warning when MRZ and IIN centuries agree');
+
+console.log('\n=== Issuing States ===');
+const rusParsed = PassportParser.parse('P<RUSIVANOV<<IVAN<<<<<<<<<<<<<<<<<<<<<<<<<<<\n7212345673RUS8503150M3101012<<<<<<<<<<<<<<<4');
+assertEqual(rusParsed.issuingState, 'RUS', 'Russian issuing state from MRZ');
+assertEqual(rusParsed.pserie, '72', 'Russian series split from MRZ number');
+assertEqual(rusParsed.number, '1234567', 'Russian number without series');
+assertEqual(rusParsed.authority, 'MIA OF RUSSIA', 'Russian authority');
+assert(!rusParsed.warnings.some(w => w.code === 'IIN_NOT_FOUND'), 'no IIN warning for foreign passport');
+const uzbParsed = PassportParser.parse('P<UZBKARIMOV<<BOBUR<<<<<<<<<<<<<<<<<<<<<<<<<\nFA12345673UZB8503150M3101012<<<<<<<<<<<<<<<4');
+assertEqual(uzbParsed.pserie, 'FA', 'Uzbek series letters');
+assertEqual(uzbParsed.nationality, 'UZB', 'Uzbek nationality');
+const kgzParsed = PassportParser.parse('KYRGYZ REPUBLIC\nPASSPORT\nAC 1234567\nASANOV\nBAKYT\n01.02.1990\n05.06.2020\n05.06.2030');
+assertEqual(kgzParsed.issuingState, 'KGZ', 'Kyrgyz state detected from visual zone');
+assertEqual(kgzParsed.number, '1234567', 'Kyrgyz number from visual zone');
+assertEqual(kgzParsed.surname, 'ASANOV', 'Kyrgyz state words not taken as surname');
+assertEqual(kazTd3Parsed.number, 'N15135160', 'Kazakh MRZ number not prefixed twice');
+assertEqual(PassportParser.parse(icaoMrz).authority, '', 'no authority guessed for unknown state');
+
+console.log('\n=== Tourist Templates ===');
+const rusTemplate = { id: 'tpl_1', name: 'Ivanov', ...PassportParser.toTemplate(rusParsed), email: 'a@b.kz', phone: '' };
+assertEqual(rusTemplate.givenName + ' ' + rusTemplate.passport, 'IVAN 1234567', 'template keeps the name and number under its own keys');
+const rusFill = PassportParser.fromTemplate(JSON.parse(JSON.stringify(rusTemplate)));
+['surname', 'name', 'number', 'pserie', 'birthDate', 'validDate', 'gender', 'nationality', 'issuingState', 'authority'].forEach(function(field) {
+    assertEqual(rusFill[field], rusParsed[field], 'RUS template fills back ' + field);
+});
+assertEqual(rusFill.email, 'a@b.kz', 'template contact fields fill back');
+const oldFill = PassportParser.fromTemplate({ surname: 'AKHMETOV', givenName: 'ASKAR', passport: 'N12345678' });
+assertEqual(oldFill.issuingState + ' ' + oldFill.nationality + ' ' + oldFill.authority, 'KAZ KAZ MIA OF KAZAKHSTAN', 'template without issuing state fills as a Kazakh passport');
+const templateContent = fs.readFileSync(path.join(__dirname, 'content.js'), 'utf8');
+assert(templateContent.includes('PassportParser.fromTemplate(template)'), 'content.js fills templates through fromTemplate');
+const templatePopup = fs.readFileSync(path.join(__dirname, 'popup.js'), 'utf8');
+['tplSerie', 'tplNationality', 'tplIssuingState', 'tplAuthority'].forEach(function(id) {
+    assert(templatePopup.includes("getElementById('" + id + "').value.trim()"), 'popup saves ' + id);
+});
+assert(fs.readFileSync(path.join(__dirname, 'parse-image.js'), 'utf8').includes('PassportParser.toTemplate(parsed)'), 'context-menu page saves templates through toTemplate');
+
+console.log('\n=== Visual Zone Labels ===');
+const vizText = `ҚАЗАҚСТАН РЕСПУБЛИКАСЫ
+Тегі / Surname
+ALINA
+Аты / Given names
+AINUR
+Туған күні / Date of birth
+29.09.1980
+Берілген күні / Date of issue     Жарамдылық мерзімі / Date of expiry
+27.02.2023     26.02.2033
+Берген орган / Authority
+МВД РК
+Printed 15.03.2035`;
+const vizParsed = PassportParser.parse(vizText);
+assertEqual(vizParsed.birthDate, '29.09.1980', 'labelled birth date');
+assertEqual(vizParsed.issueDate, '27.02.2023', 'side-by-side labelled issue date');
+assertEqual(vizParsed.validDate, '26.02.2033', 'labelled expiry ignores later print date');
+assertEqual(vizParsed.authority, 'МВД РК', 'authority read from its caption');
+assertEqual(vizParsed.confidence.issueDate, 0.7, 'labelled dates scored above sorted ones');
+const inlineViz = PassportParser.parse('Date of issue: 05.06.2020\nAuthority: MIA 12345\n01.02.1990\n05.06.2030');
+assertEqual(inlineViz.issueDate, '05.06.2020', 'inline labelled issue date');
+assertEqual(inlineViz.authority, 'MIA 12345', 'inline authority');
+assertEqual(inlineViz.validDate, '05.06.2030', 'unlabelled dates fall back to order');
+assertEqual(PassportParser.parse('Туристическая организация ТУР\nAuthority: MIA 12345').authority, 'MIA 12345', 'caption not found inside another word');
+assertEqual(PassportParser.parse('Жынысы / Пол / Sex\nӘйел / Female').gender, '0', 'gender written as a word');
+assertEqual(PassportParser.parse('Sex: Male').gender, '1', 'Male read as male, not the F of Female');
+
+console.log('\n=== Cyrillic Names ===');
+const cyrillicText = `Тегі / Фамилия / Surname
+ЕРЖАНҚЫЗЫ / YERZHANKYZY
+Аты / Имя / Given names
+ӘЙГЕРІМ
+AIGERIM
+Туған күні / Date of birth
+12.04.1995`;
+const cyrillicParsed = PassportParser.parse(cyrillicText);
+assertEqual(cyrillicParsed.surnameCyrillic, 'ЕРЖАНҚЫЗЫ', 'Cyrillic surname read next to the Latin one');
+assertEqual(cyrillicParsed.surname, 'YERZHANKYZY', 'Latin surname still taken for the form');
+assertEqual(cyrillicParsed.nameCyrillic, 'ӘЙГЕРІМ', 'Kazakh letters kept in the Cyrillic name');
+assertEqual(cyrillicParsed.name, 'AIGERIM', 'Latin name read from the following line');
+assert(!cyrillicParsed.warnings.some(w => w.code === 'CYRILLIC_NAME_MISMATCH'), 'matching spellings raise no warning');
+assertEqual(PassportParser.transliterateCyrillic('Щукина Юлия'), 'SHCHUKINA IULIIA', 'ICAO transliteration');
+assert(PassportParser.cyrillicMatchesLatin('ЮЛИЯ', 'YULIYA'), 'YU/YA spellings accepted');
+assert(PassportParser.cyrillicMatchesLatin('ХАБИБУЛЛИН', 'HABIBULIN'), 'KH/H and doubled letters accepted');
+assert(!PassportParser.cyrillicMatchesLatin('ИВАНОВ', 'PETROV'), 'different names rejected');
+const mismatchParsed = PassportParser.parse('Тегі / Surname\nИВАНОВ / PETROV');
+const mismatch = mismatchParsed.warnings.find(w => w.code === 'CYRILLIC_NAME_MISMATCH');
+assert(mismatch && mismatch.params.field === 'surname' && mismatch.params.cyrillic === 'ИВАНОВ', 'mismatched transliteration reported');
+assertEqual(PassportParser.parse(vizText).surnameCyrillic, '', 'Latin-only surname leaves the Cyrillic field empty');
+
+console.log('\n=== Cropped Field Re-OCR ===');
+assertEqual(PassportParser.readField('surname', 'Тегі / Фамилия / Surname\nЕРЖАНҚЫЗЫ / YERZHANKYZY'), 'YERZHANKYZY', 'caption stripped, Latin spelling taken');
+assertEqual(PassportParser.readField('name', 'АЙНҰР'), 'AINUR', 'Cyrillic-only name transliterated');
+assertEqual(PassportParser.readField('number', 'Паспорт № N 12345678', 'KAZ'), 'N12345678', 'Kazakh number split like parse()');
+assertEqual(PassportParser.readField('iin', 'ИИН 800929 401181'), '800929401181', 'IIN read across OCR spaces');
+assertEqual(PassportParser.readField('birthDate', '29.09.1980 26.02.2033'), '29.09.1980', 'earliest date taken as birth date');
+assertEqual(PassportParser.readField('validDate', '29.09.1980 26.02.2033'), '26.02.2033', 'latest date taken as expiry');
+assertEqual(PassportParser.readField('gender', 'Жынысы / Пол / Sex\nЖ/F'), '0', 'gender read from the crop');
+assertEqual(PassportParser.readField('surname', '12.03.2020'), '', 'nothing readable returns an empty value');
+
+console.log('\n=== PDF Page Selection ===');
+const PAGE_TYPES = PassportParser.PAGE_TYPES;
+const coverPage = 'Туристическое агентство\nДокументы для поездки\nСписок туристов';
+const passportPage = 'PASSPORT\nP<KAZALINA<<AINUR<<<<<<<<<<<<<<<<<<<<<<<<<<<\nN151351605KAZ8009294F3302266800929401181<<52';
+const idFront = 'ҚАЗАҚСТАН РЕСПУБЛИКАСЫ\nЖЕКЕ КУӘЛІК / УДОСТОВЕРЕНИЕ ЛИЧНОСТИ\nТегі / Фамилия\nАЛИНА\nАты / Имя\nАЙНҰР';
+const idBack = 'I<KAZ0412345678<<<<<<<<<<<<<<<\n8009294F3302266KAZ800929401181\nALINA<<AINUR<<<<<<<<<<<<<<<<<<';
+assertEqual(PassportParser.classifyPage(coverPage).type, PAGE_TYPES.OTHER, 'cover page classified as other');
+assertEqual(PassportParser.classifyPage(passportPage).type, PAGE_TYPES.PASSPORT, 'TD3 MRZ page classified as passport');
+assertEqual(PassportParser.classifyPage(idFront).type, PAGE_TYPES.ID_FRONT, 'ID card title classified as ID front');
+assertEqual(PassportParser.classifyPage(idBack).type, PAGE_TYPES.ID_BACK, 'TD1 MRZ page classified as ID back');
+assertEqual(PassportParser.classifyPage(vizText).type, PAGE_TYPES.PASSPORT, 'labelled visual zone without MRZ classified as passport');
+assertEqual(PassportParser.pickDocumentText([coverPage, passportPage]), passportPage, 'passport page picked after a cover page');
+assertEqual(PassportParser.parse(PassportParser.pickDocumentText([coverPage, passportPage])).number, 'N15135160', 'parse taken from the picked page');
+const idDocs = PassportParser.groupDocumentPages([coverPage, idFront, idBack]);
+assertEqual(idDocs.length, 1, 'ID card front and back form one document');
+assertEqual(idDocs[0].pages.join(','), '2,3', 'document keeps its 1-based page numbers');
+const secondPassport = passportPage.replace('ALINA<<AINUR', 'ALIN<<ARMAN<');
+const groupDocs = PassportParser.groupDocumentPages([passportPage, coverPage, secondPassport]);
+assertEqual(groupDocs.length, 2, 'each passport page of one PDF is a separate document');
+assertEqual(groupDocs[1].pages[0], 3, 'second passport found on page 3');
+assertEqual(PassportParser.pickDocumentText([coverPage]), coverPage, 'all pages kept when no document is recognised');
+
+console.log('\n=== MRZ / Visual Zone / IIN Cross-check ===');
+const crossText = `Тегі / Surname
+ALINA
+Аты / Given names
+AYNUR
+Паспорт нөмірі / Passport No.
+N15135160
+Жынысы / Sex
+Ж/F
+Туған күні / Date of birth
+29.09.1981
+P<KAZALINA<<AINUR<<<<<<<<<<<<<<<<<<<<<<<<<<<
+N151351605KAZ8009294F3302266800929401181<<52`;
+const crossParsed = PassportParser.parse(crossText);
+const report = crossParsed.consistency;
+assertEqual(report.fields.surname.agree, true, 'matching surname agrees');
+assertEqual(report.fields.number.candidates[0].sources.join(','), 'mrz,viz', 'number confirmed by MRZ and visual zone');
+assertEqual(report.fields.gender.candidates[0].sources.join(','), 'mrz,viz,iin', 'gender confirmed by all three sources');
+assertEqual(report.conflicts.join(','), 'name,birthDate', 'disagreeing fields flagged');
+assertEqual(report.fields.birthDate.candidates[1].value, '29.09.1981', 'visual-zone birth date offered as candidate');
+assertEqual(crossParsed.name, 'AINUR', 'MRZ value kept by default');
+const nameConflict = crossParsed.warnings.find(w => w.code === 'SOURCES_DISAGREE' && w.params.field === 'name');
+assert(nameConflict && nameConflict.params.values.map(r => r.sources.join('+') + ' ' + r.value).join(' / ') === 'mrz AINUR / viz AYNUR', 'conflict reported in warnings with structured readings');
+assertEqual(PassportParser.parse(icaoMrz).consistency.conflicts.length, 0, 'MRZ-only text has no conflicts');
+
+console.log('\n=== Field Provenance ===');
+assertEqual(crossParsed.fields.surname.source, 'mrz', 'MRZ surname source');
+assertEqual(crossParsed.fields.surname.confidence, crossParsed.confidence.surname, 'field confidence mirrors confidence map');
+assertEqual(vizParsed.fields.issueDate.source, 'viz', 'labelled date source');
+assertEqual(kgzParsed.fields.issueDate.source, 'ocr', 'sorted date source');
+assertEqual(centenarian.fields.birthDate.source, 'iin', 'IIN-corrected birth date source');
+assertEqual(kazTd1Parsed.fields.iin.source, 'mrz', 'IIN from MRZ optional data source');
+assertEqual(PassportParser.parse(icaoMrz).fields.authority.source, null, 'unread authority has no source');
+const edited = PassportParser.applyManualEdits(crossParsed, { name: 'AYNUR', surname: 'ALINA' });
+assertEqual(edited.fields.name.source, 'manual', 'edited field becomes manual');
+assertEqual(edited.fields.name.confidence, 1, 'manual field fully confident');
+assertEqual(edited.fields.surname.source, 'mrz', 'unchanged field keeps its source');
+assertEqual(crossParsed.fields.name.source, 'mrz', 'original result not mutated');
+
+console.log('\n=== Issue Codes ===');
+const i18nApi = new Function(i18nCode + '\nreturn { formatIssue: formatIssue, I18N: I18N };')();
+Object.keys(PassportParser.ISSUES).forEach(function(code) {
+    assert(!!i18nApi.I18N.ru['issue_' + code] && !!i18nApi.I18N.en['issue_' + code], 'issue ' + code + ' translated');
+});
+const noNumber = PassportParser.parse('nothing useful here');
+assertEqual(noNumber.errors[0].code, 'NUMBER_NOT_FOUND', 'missing number reported as code');
+assertEqual(i18nApi.formatIssue(noNumber.errors[0]), 'Номер паспорта не найден', 'issue rendered in Russian');
+assertEqual(i18nApi.formatIssue(badMrz.warnings.find(w => w.code === 'MRZ_CHECK_FAILED')), 'MRZ: не сходится контрольная цифра (Номер паспорта)', 'field parameter translated');
+assertEqual(i18nApi.formatIssue('Legacy warning'), 'Legacy warning', 'legacy string warnings rendered as is');
+const parserFields = new Set(Array.from(parserCode.matchAll(/field: '([^']+)'/g), m => m[1]));
+parserFields.forEach(function(field) {
+    assert(!!i18nApi.I18N.ru['field_' + field] && !!i18nApi.I18N.en['field_' + field], 'field ' + field + ' translated');
+});
+assert(parserFields.has('nationality') && parserFields.has('issuingState') && parserFields.has('optional2') && parserFields.has('nameLine'), 'MRZ field names collected from the parser');
+assertEqual(i18nApi.formatIssue(ocrMrz.warnings.find(w => w.code === 'MRZ_CORRECTED' && w.params.field === 'number')), 'MRZ исправлена (Номер паспорта): L8989O2C36 → L898902C36', 'corrected characters rendered as read');
+assertEqual(i18nApi.formatIssue({ code: 'MRZ_CORRECTED', params: { field: 'nameLine', from: 'PKUTO', to: 'P<UTO' } }), 'MRZ исправлена (Строка имени): PKUTO → P<UTO', 'name line correction translated');
+assertEqual(i18nApi.formatIssue(nameConflict), 'Источники расходятся (Имя): MRZ AINUR / Печатная зона AYNUR', 'source readings rendered in Russian');
+assertEqual(i18nApi.formatIssue({ code: 'SOURCES_DISAGREE', params: { field: 'name', values: 'MRZ AINUR / VIZ AYNUR' } }), 'Источники расходятся (Имя): MRZ AINUR / VIZ AYNUR', 'readings logged as text before still rendered');
+const expTooSoon = PassportParser.validatePassportExpiry('01.01.' + (new Date().getFullYear() + 1), 'EG');
+assertEqual(expTooSoon.code, expTooSoon.valid ? 'EXPIRY_OK_FOR_COUNTRY' : 'EXPIRY_TOO_SOON_FOR_COUNTRY', 'expiry check returns a code');
+assertEqual(expTooSoon.params.country, 'Egypt', 'expiry check carries the country');
+assertEqual(PassportParser.validatePassportExpiry('01.01.2020', 'TR').code, 'PASSPORT_EXPIRED', 'expired passport code');
+assertEqual(PassportParser.validatePassportExpiry('', 'TR').code, 'EXPIRY_MISSING', 'missing expiry code');
+
 // Full passport text parsing
 console.log('\n=== Passport Text Parsing ===');
 const sampleText = `P
@@ -134,6 +425,7 @@ assertEqual(parsed.number, 'N15135160', 'parsed passport number');
 assertEqual(parsed.surname, 'ALINA', 'parsed surname');
 assertEqual(parsed.name, 'AINUR', 'parsed name');
 assertEqual(parsed.iin, '800929401181', 'parsed IIN');
+assertEqual(parsed.iinSource, 'text', 'IIN source recorded as text without MRZ optional data');
 assertEqual(parsed.birthDate, '29.09.1980', 'parsed birth date');
 assertEqual(parsed.validDate, '26.02.2033', 'parsed valid date');
 assertEqual(parsed.gender, '0', 'parsed gender (female)');
@@ -146,6 +438,269 @@ assert(PassportParser.COUNTRY_RULES['TR'].months === 6, 'Turkey requires 6 month
 assert(PassportParser.COUNTRY_RULES['GE'].months === 0, 'Georgia requires 0 months');
 assert(PassportParser.COUNTRY_RULES['EG'].months === 6, 'Egypt requires 6 months');
 assert(Object.keys(PassportParser.COUNTRY_RULES).length >= 20, 'at least 20 country rules');
+assert(/^\d{4}\.\d+\.\d+$/.test(countryRulesDataset.version), 'rules dataset is versioned');
+assert(Object.keys(countryRulesDataset.rules).every(code => !PassportParser.normalizeCountryRules({ [code]: countryRulesDataset.rules[code] }).rejected.length), 'every bundled rule is well-formed');
+assert(PassportParser.validatePassportExpiry('31.12.2099', 'EG').notes.some(n => n.code === 'COUNTRY_NOTE'), 'Egypt visa note surfaced');
+
+const importedRules = PassportParser.normalizeCountryRules({ rules: { eg: { months: 3, from: 'return' }, TN: { months: 6, name: 'Tunisia' }, XXX: { months: 1 }, FR: { months: 'six' } } });
+assertEqual(Object.keys(importedRules.rules).sort().join(','), 'EG,TN', 'well-formed imported rules kept and codes upper-cased');
+assertEqual(importedRules.rejected.sort().join(','), 'FR,XXX', 'malformed imported rules rejected');
+PassportParser.setCountryRules(countryRulesDataset, importedRules.rules);
+assertEqual(PassportParser.COUNTRY_RULES['EG'].months, 3, 'override replaces dataset months');
+assertEqual(PassportParser.COUNTRY_RULES['EG'].aliases[0], 'Египет', 'override keeps dataset aliases');
+assertEqual(PassportParser.COUNTRY_RULES['TN'].name, 'Tunisia', 'override adds a new destination');
+const rulesInfo = PassportParser.getCountryRulesInfo();
+assertEqual(rulesInfo.version, countryRulesDataset.version, 'rules info reports dataset version');
+assertEqual(rulesInfo.overridden.join(','), 'EG', 'rules info lists overridden codes');
+assertEqual(rulesInfo.added.join(','), 'TN', 'rules info lists added codes');
+PassportParser.setCountryRules(countryRulesDataset);
+assertEqual(PassportParser.COUNTRY_RULES['EG'].months, 6, 'dropping overrides restores the dataset rule');
+assertEqual(PassportParser.COUNTRY_RULES['TN'], undefined, 'dropping overrides removes added destinations');
+
+// Offline OCR files
+console.log('\n=== Offline OCR ===');
+const ocrAssetsCode = fs.readFileSync(path.join(__dirname, 'ocr-assets.js'), 'utf8');
+const fakeChrome = { runtime: { getURL: file => 'chrome-extension://test/' + file } };
+const loadOcrAssets = fetchStub => new Function('self', 'chrome', 'fetch', ocrAssetsCode + '\nreturn self.OcrAssets;')({}, fakeChrome, fetchStub);
+const OcrAssets = loadOcrAssets(() => Promise.resolve({ ok: true }));
+const ocrOptions = OcrAssets.getWorkerOptions();
+assert(['workerPath', 'corePath', 'langPath'].every(k => ocrOptions[k].startsWith('chrome-extension://test/lib/tesseract/')), 'OCR worker, core and language data load from the extension');
+assertEqual(OcrAssets.LANGS.join(','), 'eng,kaz', 'eng and kaz models bundled');
+const buildCode = fs.readFileSync(path.join(__dirname, 'build.js'), 'utf8');
+assert(OcrAssets.FILES.every(f => buildCode.includes("'" + OcrAssets.BASE_DIR + f + "': '")), 'build.js pins every bundled OCR file');
+assert(OcrAssets.FILES.every(f => fs.existsSync(path.join(__dirname, OcrAssets.BASE_DIR, f))), 'OCR files are in the repository');
+OcrAssets.verify().then(missing => assertEqual(missing.length, 0, 'verify passes when all OCR files load'));
+const requested = [];
+loadOcrAssets(url => { requested.push(url); return url.endsWith('kaz.traineddata.gz') ? Promise.resolve({ ok: false }) : Promise.reject(new Error('offline')); })
+    .verify().then(missing => assertEqual(missing.length, OcrAssets.FILES.length, 'verify reports files that fail to load'));
+assert(requested.every(url => url.startsWith('chrome-extension://')), 'verify never requests network URLs');
+
+// Image preprocessing before OCR
+console.log('\n=== Image Preprocessing ===');
+const ImagePreprocess = new Function('self', fs.readFileSync(path.join(__dirname, 'image-preprocess.js'), 'utf8') + '\nreturn self.ImagePreprocess;')({});
+assertEqual(Array.from(ImagePreprocess.toGrayscale(new Uint8ClampedArray([255, 255, 255, 255, 0, 0, 0, 255, 255, 0, 0, 255]), 3, 1)).join(','), '255,0,76', 'grayscale uses luminance weights');
+
+function syntheticLines(width, height, angle) {
+    const pixels = new Uint8ClampedArray(width * height).fill(255);
+    const slope = Math.tan(angle * Math.PI / 180);
+    for (let line = 0; line < 8; line++) {
+        for (let x = 20; x < width - 20; x++) {
+            const y = Math.round(30 + line * 20 + (x - width / 2) * slope);
+            for (let t = 0; t < 3; t++) if (y + t >= 0 && y + t < height) pixels[(y + t) * width + x] = 0;
+        }
+    }
+    return pixels;
+}
+assertEqual(ImagePreprocess.estimateSkew(syntheticLines(300, 200, 0), 300, 200), 0, 'straight text has no skew');
+assert(Math.abs(ImagePreprocess.estimateSkew(syntheticLines(300, 200, 4), 300, 200) - 4) <= 0.25, 'clockwise skew of 4 degrees detected');
+assert(Math.abs(ImagePreprocess.estimateSkew(syntheticLines(300, 200, -6.5), 300, 200) + 6.5) <= 0.25, 'counter-clockwise skew of 6.5 degrees detected');
+
+// Ink on a background that brightens left to right, as under uneven light or glare
+const gradient = new Uint8ClampedArray(200 * 50);
+for (let y = 0; y < 50; y++) for (let x = 0; x < 200; x++) gradient[y * 200 + x] = (x % 10 === 0) ? 60 + x / 2 : 120 + x / 2;
+const binary = ImagePreprocess.adaptiveThreshold(gradient, 200, 50);
+assertEqual(binary[25 * 200 + 10], 0, 'dark stroke in shadow becomes ink');
+assertEqual(binary[25 * 200 + 190], 0, 'stroke in the bright area stays ink');
+assertEqual(binary[25 * 200 + 15] + binary[25 * 200 + 195], 510, 'shadowed and bright background both become white');
+assertEqual(ImagePreprocess.getScale(1000, 700), 2, 'small photo scaled up towards 300 DPI');
+assertEqual(ImagePreprocess.getScale(8000, 6000), 0.5, 'downscaling is capped');
+
+// Synthetic page: short visual-zone lines, then two wide MRZ lines near the bottom
+function syntheticPage(width, height, blocks) {
+    const pixels = new Uint8ClampedArray(width * height).fill(255);
+    blocks.forEach(function(b) {
+        for (let y = b.top; y < b.top + b.height; y++) {
+            for (let x = b.left; x < b.left + b.width; x++) if ((x + y) % 3) pixels[y * width + x] = 0;
+        }
+    });
+    return pixels;
+}
+const pageBlocks = [
+    { top: 20, height: 12, left: 150, width: 200 },
+    { top: 60, height: 10, left: 150, width: 120 },
+    { top: 90, height: 10, left: 150, width: 160 },
+    { top: 250, height: 14, left: 20, width: 460 },
+    { top: 275, height: 14, left: 20, width: 455 }
+];
+const mrzBand = ImagePreprocess.findMRZBand(syntheticPage(500, 320, pageBlocks), 500, 320);
+assert(!!mrzBand, 'MRZ band found');
+assertEqual(mrzBand && mrzBand.lines.length, 2, 'MRZ band has two lines');
+assertEqual(mrzBand && [mrzBand.top, mrzBand.bottom].join('-'), '250-289', 'MRZ band spans both lines');
+const td1Band = ImagePreprocess.findMRZBand(syntheticPage(500, 320, pageBlocks.slice(0, 3).concat([
+    { top: 220, height: 14, left: 30, width: 440 }, { top: 245, height: 14, left: 30, width: 440 }, { top: 270, height: 14, left: 30, width: 440 }
+])), 500, 320);
+assertEqual(td1Band && td1Band.lines.length, 3, 'three-line ID card MRZ band found');
+assertEqual(ImagePreprocess.findMRZBand(syntheticPage(500, 320, pageBlocks.slice(0, 3)), 500, 320), null, 'no MRZ band on a page of short lines');
+assertEqual(ImagePreprocess.findMRZBand(syntheticPage(500, 320, pageBlocks.slice(0, 3).concat([
+    { top: 250, height: 14, left: 20, width: 460 }, { top: 275, height: 40, left: 20, width: 460 }
+])), 500, 320), null, 'lines of different height are not an MRZ');
+
+const goodMrz = 'P<KAZALINA<<AINUR<<<<<<<<<<<<<<<<<<<<<<<<<<<\nN151351605KAZ8009294F3302266800929401181<<52';
+assertEqual(PassportParser.scoreMRZText(goodMrz), 100, 'valid MRZ scores 100');
+assert(PassportParser.scoreMRZText(goodMrz.replace('8009294', '8009295')) < 100, 'failed check digit lowers the score');
+assertEqual(PassportParser.scoreMRZText('PASSPORT\nREPUBLIC OF KAZAKHSTAN'), 0, 'text without MRZ scores 0');
+assert(PassportParser.scoreMRZText('<<<<Z9YWZ>>>\n52<<1810492') < PassportParser.scoreMRZText(goodMrz), 'upside-down garbage scores lower than upright MRZ');
+
+console.log('\n=== Image Formats ===');
+const ImageFormats = new Function('self', fs.readFileSync(path.join(__dirname, 'image-formats.js'), 'utf8') + '\nreturn self.ImageFormats;')({});
+const header = (...parts) => Uint8Array.from([].concat(...parts.map(p => typeof p === 'string' ? Array.from(p, c => c.charCodeAt(0)) : p)));
+assertEqual(ImageFormats.detect(header('%PDF-1.7')), 'pdf', 'PDF detected by magic bytes');
+assertEqual(ImageFormats.detect(header([0xFF, 0xD8, 0xFF, 0xE0])), 'jpeg', 'JPEG detected');
+assertEqual(ImageFormats.detect(header([0x89], 'PNG\r\n')), 'png', 'PNG detected');
+assertEqual(ImageFormats.detect(header('RIFF', [0, 0, 0, 0], 'WEBPVP8 ')), 'webp', 'WebP detected');
+assertEqual(ImageFormats.detect(header('II', [42, 0, 8, 0, 0, 0])), 'tiff', 'little-endian TIFF detected');
+assertEqual(ImageFormats.detect(header('MM', [0, 42, 0, 0, 0, 8])), 'tiff', 'big-endian TIFF detected');
+assertEqual(ImageFormats.detect(header([0, 0, 0, 24], 'ftypheic', [0, 0, 0, 0])), 'heic', 'iPhone HEIC detected');
+assertEqual(ImageFormats.detect(header([0, 0, 0, 24], 'ftypmif1', [0, 0, 0, 0])), 'heic', 'generic HEIF brand detected');
+assertEqual(ImageFormats.detect(header([0, 0, 0, 24], 'ftypisom', [0, 0, 0, 0])), null, 'MP4 video is not an image');
+assertEqual(ImageFormats.detect(header('PK', [3, 4])), 'zip', 'ZIP archive detected');
+assertEqual(ImageFormats.detect(header('7z', [0xBC, 0xAF, 0x27, 0x1C])), null, 'unknown format returns null');
+assert(ImageFormats.isAcceptedFile({ type: '', name: 'IMG_0042.HEIC' }), 'HEIC without MIME type accepted by extension');
+assert(ImageFormats.isAcceptedFile({ type: 'image/tiff', name: 'scan' }), 'TIFF accepted by MIME type');
+assert(!ImageFormats.isAcceptedFile({ type: 'text/plain', name: 'notes.txt' }), 'text files rejected');
+assert(ImageFormats.isAcceptedFile({ type: 'application/x-zip-compressed', name: 'family.zip' }), 'ZIP archive accepted (Windows MIME type)');
+assertEqual(ImageFormats.describeError(ImageFormats.formatError(ImageFormats.ERRORS.DECODER_MISSING, 'heic')), 'HEIC decoder not installed', 'missing decoder named per format');
+assertEqual(ImageFormats.describeError(ImageFormats.formatError(ImageFormats.ERRORS.DECODE_FAILED, 'tiff')), 'Could not read TIFF file', 'decode failure named per format');
+assertEqual(ImageFormats.describeError(ImageFormats.formatError(ImageFormats.ERRORS.UNSUPPORTED, null)), 'Unsupported file format', 'unknown format reported');
+const decoderFiles = [].concat(...Object.values(ImageFormats.FORMATS).filter(f => f.decoder).map(f => f.decoder.files));
+assert(decoderFiles.every(f => fs.existsSync(path.join(__dirname, f))), 'decoder libraries are in the repository');
+assert(decoderFiles.every(f => buildCode.includes("'" + f + "': '")), 'build.js pins every decoder library');
+assert(decoderFiles.indexOf('lib/pako_inflate.min.js') < decoderFiles.indexOf('lib/utif.js'), 'pako is injected before UTIF.js reads it');
+
+console.log('\n=== ZIP Archives ===');
+const ZipReader = new Function('self', fs.readFileSync(path.join(__dirname, 'zip-reader.js'), 'utf8') + '\nreturn self.ZipReader;')({});
+// Archive built in place: one stored and one deflated entry, the second with the UTF-8 name flag;
+// `size` overrides the declared uncompressed size
+function buildZip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    files.forEach(function(file) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = file.deflate ? require('zlib').deflateRawSync(file.data) : file.data;
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(0x800, 6);
+        local.writeUInt16LE(file.deflate ? 8 : 0, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(file.size !== undefined ? file.size : file.data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(0x800, 8);
+        central.writeUInt16LE(file.deflate ? 8 : 0, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(file.size !== undefined ? file.size : file.data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        locals.push(local, name, data);
+        centrals.push(central, name);
+        offset += local.length + name.length + data.length;
+    });
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    const zip = Buffer.concat(locals.concat([directory, end]));
+    return zip.buffer.slice(zip.byteOffset, zip.byteOffset + zip.length);
+}
+const zipBuffer = buildZip([
+    { name: 'Паспорта/ivanov.pdf', data: Buffer.from('%PDF-1.7 stored') },
+    { name: 'Паспорта/petrov.jpg', data: Buffer.from('\xFF\xD8\xFF'.repeat(50), 'latin1'), deflate: true }
+]);
+assertEqual(ImageFormats.detect(new Uint8Array(zipBuffer, 0, ImageFormats.HEADER_LENGTH)), 'zip', 'built archive detected as ZIP');
+const zipEntries = ZipReader.listEntries(zipBuffer);
+assertEqual(zipEntries.map(e => e.name).join(','), 'Паспорта/ivanov.pdf,Паспорта/petrov.jpg', 'entries listed with UTF-8 names');
+assertEqual(zipEntries[1].method, 8, 'deflate method read from the central directory');
+let zipFailure = null;
+try { ZipReader.listEntries(new ArrayBuffer(64)); } catch (e) { zipFailure = e.message; }
+assertEqual(zipFailure, 'Not a ZIP archive', 'buffer without end record rejected');
+const bombZip = buildZip([{ name: 'bomb.jpg', data: Buffer.alloc(4 * 1024 * 1024), size: 1024, deflate: true }]);
+const asyncChecks = [
+    ZipReader.readEntry(zipBuffer, zipEntries[0]).then(data => assertEqual(Buffer.from(data).toString(), '%PDF-1.7 stored', 'stored entry read')),
+    ZipReader.readEntry(zipBuffer, zipEntries[1]).then(data => assertEqual(ImageFormats.detect(data), 'jpeg', 'deflated entry inflated')),
+    ZipReader.readEntry(zipBuffer, Object.assign({}, zipEntries[0], { encrypted: true })).then(
+        () => assert(false, 'encrypted entry rejected'),
+        err => assertEqual(err.message, 'Encrypted file', 'encrypted entry rejected')),
+    // A deflated entry that inflates past its declared size, as an archive bomb does
+    ZipReader.readEntry(bombZip, ZipReader.listEntries(bombZip)[0]).then(
+        () => assert(false, 'inflating stops at the declared size'),
+        err => assertEqual(err.message, 'Damaged ZIP archive', 'inflating stops at the declared size'))
+];
+
+// Shared OCR pool and passes (content script and context-menu page)
+console.log('\n=== OCR Pipeline ===');
+const ocrPipelineCode = fs.readFileSync(path.join(__dirname, 'ocr-pipeline.js'), 'utf8');
+function loadOcrPipeline() {
+    const calls = [];
+    const worker = lang => ({
+        lang: lang,
+        setParameters: () => Promise.resolve(),
+        recognize: function() { return new Promise(resolve => setTimeout(() => resolve({ data: { text: this.lang } }), 1)); },
+        terminate: () => Promise.resolve()
+    });
+    const tesseract = {
+        createWorker: lang => { calls.push('create ' + lang); return Promise.resolve(worker(lang)); },
+        OEM: { LSTM_ONLY: 1 },
+        PSM: { SINGLE_BLOCK: '6', SINGLE_LINE: '7' }
+    };
+    const ocrAssets = { verify: () => Promise.resolve([]), getWorkerOptions: () => ({}) };
+    // The pool's idle timer must not keep the test run alive
+    const unrefTimeout = (fn, ms) => { const timer = setTimeout(fn, ms); timer.unref(); return timer; };
+    const pipeline = new Function('self', 'Tesseract', 'OcrAssets', 'ImagePreprocess', 'PassportParser', 'setTimeout', ocrPipelineCode + '\nreturn self.OcrPipeline;')(
+        {}, tesseract, ocrAssets, ImagePreprocess, PassportParser, unrefTimeout);
+    return { pipeline: pipeline, calls: calls };
+}
+assert(/viz: \{ lang: 'kaz'/.test(ocrPipelineCode), 'visual zone profile uses the Cyrillic model');
+assert(Object.values(loadOcrPipeline().pipeline.PROFILES).every(p => OcrAssets.LANGS.includes(p.lang)), 'every profile uses a bundled model');
+assert(ocrPipelineCode.includes("recognize(image, 'mrzLine')"), 'MRZ lines are read separately with the MRZ line profile');
+assert(ocrPipelineCode.includes("recognize(vizImage, 'viz')"), 'visual zone read again with the Cyrillic profile');
+assert(ocrPipelineCode.includes('await Promise.all([lineReads, pageText])'), 'page and MRZ line reads are awaited together');
+const alternating = loadOcrPipeline();
+asyncChecks.push((async function() {
+    const texts = [];
+    for (const profile of ['page', 'viz', 'page', 'viz', 'captcha']) texts.push(await alternating.pipeline.recognize({}, profile));
+    assertEqual(texts.join(','), 'eng,kaz,eng,kaz,eng', 'each job is read with its profile language');
+    assertEqual(alternating.calls.join(','), 'create eng,create kaz', 'alternating languages keep one worker each instead of reloading models');
+})());
+const crowded = loadOcrPipeline();
+asyncChecks.push((async function() {
+    await Promise.all([1, 2, 3, 4, 5].map(() => crowded.pipeline.recognize({}, 'page')));
+    assertEqual(crowded.calls.length, crowded.pipeline.POOL_SIZE, 'one language gets at most POOL_SIZE workers');
+    await Promise.all([crowded.pipeline.recognize({}, 'viz'), crowded.pipeline.recognize({}, 'mrzLine'), crowded.pipeline.recognize({}, 'page')]);
+    assertEqual(crowded.calls.join(','), 'create eng,create eng,create kaz', 'MRZ lines share the eng workers');
+})());
+
+// Visa requirements by nationality
+console.log('\n=== Visa Requirements ===');
+const VISA_TYPES = PassportParser.VISA_TYPES;
+['KAZ', 'RUS', 'UZB', 'KGZ'].forEach(function(nationality) {
+    const missing = Object.keys(countryRulesDataset.rules).filter(code => !(countryRulesDataset.rules[code].visa || {})[nationality]);
+    assertEqual(missing.join(','), '', 'visa matrix covers every destination for ' + nationality);
+});
+const turkeyVisa = PassportParser.checkVisaRequirement('TR', 'KAZ');
+assertEqual(turkeyVisa.type, VISA_TYPES.FREE, 'Kazakh citizens enter Turkey visa-free');
+assertEqual(turkeyVisa.days, 30, 'Turkey visa-free stay for KAZ is 30 days');
+assertEqual(turkeyVisa.needsAction, false, 'visa-free entry needs no action');
+const longStay = PassportParser.checkVisaRequirement('TR', 'KAZ', { departureDate: '01.11.2026', returnDate: '10.12.2026' });
+assertEqual(longStay.code, 'VISA_FREE_STAY_EXCEEDED', 'stay longer than the visa-free period flagged');
+assertEqual(longStay.params.stay, 40, 'stay counted in days inclusive');
+assertEqual(PassportParser.checkVisaRequirement('GR', 'kaz').code, 'VISA_REQUIRED', 'Schengen needs a visa (nationality case-insensitive)');
+assertEqual(PassportParser.checkVisaRequirement('GR', 'KAZ').needsAction, true, 'visa required needs action');
+assertEqual(PassportParser.checkVisaRequirement('IN', 'RUS').code, 'EVISA_REQUIRED', 'India needs an e-visa');
+assertEqual(PassportParser.checkVisaRequirement('EG', 'KAZ').needsAction, false, 'visa on arrival needs no advance action');
+assertEqual(PassportParser.checkVisaRequirement('KZ', 'KAZ').code, 'VISA_NOT_REQUIRED', 'own country needs no visa');
+assertEqual(PassportParser.checkVisaRequirement('TR', 'DEU').code, 'VISA_UNKNOWN', 'nationality outside the matrix reported as unknown');
+assertEqual(PassportParser.checkVisaRequirement('', 'KAZ'), null, 'no destination, no visa check');
+assertEqual(PassportParser.findCountry('Турция'), 'TR', 'destination found by alias');
+assertEqual(PassportParser.findCountry('UAE, Dubai'), 'AE', 'destination name matched as a word');
+assertEqual(PassportParser.findCountry('Indian Ocean cruise'), '', 'country name inside another word ignored');
+assertEqual(PassportParser.findCountry('Turkey / Egypt'), '', 'several countries leave the destination unknown');
+assertEqual(PassportParser.findCountry('eg'), 'EG', 'destination given as its code');
+assertEqual(PassportParser.normalizeCountryRules({ TR: { months: 6, visa: { KAZ: { type: 'maybe' } } } }).rejected[0], 'TR', 'unknown visa type rejected on import');
 
 // i18n
 console.log('\n=== i18n ===');
@@ -175,6 +730,26 @@ assert(popupHtml.includes('popup.js'), 'popup.html references popup.js');
 assert(!popupHtml.includes('onclick='), 'popup.html has no inline onclick (CSP safe)');
 assert(!popupHtml.includes('id="importFile"'), 'popup.html does not rely on hidden import input');
 
+console.log('\n=== Context Menu ===');
+const parseImageHtml = fs.readFileSync(path.join(__dirname, 'parse-image.html'), 'utf8');
+const parseImageScripts = Array.from(parseImageHtml.matchAll(/<script src="([^"]+)"/g), m => m[1]);
+parseImageScripts.forEach(function(file) {
+    assert(fs.existsSync(path.join(__dirname, file)), 'parse-image.html script exists: ' + file);
+});
+assert(parseImageScripts[parseImageScripts.length - 1] === 'parse-image.js', 'parse-image.js loads after its modules');
+assert(!parseImageHtml.includes('onclick='), 'parse-image.html has no inline onclick (CSP safe)');
+const parseImageCode = fs.readFileSync(path.join(__dirname, 'parse-image.js'), 'utf8');
+const manifestForMenu = JSON.parse(fs.readFileSync(path.join(__dirname, 'manifest.json'), 'utf8'));
+assert(manifestForMenu.permissions.includes('contextMenus'), 'manifest requests contextMenus');
+const backgroundForMenu = fs.readFileSync(path.join(__dirname, 'background.js'), 'utf8');
+assert(backgroundForMenu.includes("contexts: ['image']"), 'context menu registered on images');
+assert(backgroundForMenu.includes("chrome.runtime.getURL('parse-image.html')"), 'context menu opens the parse page');
+const contentForMenu = fs.readFileSync(path.join(__dirname, 'content.js'), 'utf8');
+assert(contentForMenu.includes("message.action === 'getTouristBlocks'") && contentForMenu.includes("message.action === 'fillParsed'"), 'content.js lists tourist blocks and accepts parsed data');
+assert(contentForMenu.includes('if (!tourists.length) return;') && contentForMenu.includes('if (!touristDiv) return;'), 'frames without tourist blocks leave the reply to the frame that has them');
+const buildForMenu = fs.readFileSync(path.join(__dirname, 'build.js'), 'utf8');
+assert(buildForMenu.includes("'parse-image.html', 'parse-image.js'"), 'build copies the parse page');
+
 // Check no old file paths
 console.log('\n=== File Paths ===');
 const allJs = ['content.js', 'popup.js', 'background.js'];
@@ -208,10 +783,37 @@ console.log('\n=== Firefox Compatibility ===');
 
 const contentCode = fs.readFileSync(path.join(__dirname, 'content.js'), 'utf8');
 assert(!contentCode.includes('Array.from(new Uint8Array(reader.result))'), 'content.js does not copy PDF bytes into huge arrays');
-assert(contentCode.includes("typeof response.text === 'string'"), 'content.js accepts empty background PDF text responses');
+assert(contentCode.includes("typeof response.text !== 'string'") && contentCode.includes('if (response && !response.error) resolve(response);'), 'content.js accepts empty background PDF text responses');
 assert(!contentCode.includes('pdf.cleanup().then(() => pdf.destroy())'), 'content.js has no unconditional pdf.cleanup() call');
-assert(contentCode.includes('parsePdfInBackground(files[i])'), 'content.js uses background PDF parsing for Firefox multi-file flow');
+assert(contentCode.includes('parsePdfInBackground(file)'), 'content.js uses background PDF parsing for Firefox multi-file flow');
+assert(!/Tesseract\.createWorker\(/.test(contentCode) && (ocrPipelineCode.match(/Tesseract\.createWorker\(/g) || []).length === 1, 'Tesseract workers are created only in the shared pool');
+assert(contentCode.includes("OcrPipeline.recognize(canvas, 'captcha')"), 'captcha OCR uses the shared pool with the digits profile');
+assert(ocrPipelineCode.includes('OcrAssets.getWorkerOptions()'), 'pool workers use bundled OCR files');
+assert(ocrPipelineCode.includes('OcrAssets.verify()'), 'OcrPipeline.load checks the bundled OCR files');
+assert(contentCode.includes('OcrPipeline.preprocess(image') && ocrPipelineCode.includes('ImagePreprocess.preprocess(image'), 'content.js preprocesses photos before OCR');
+assert(/preprocessForOcr\(await renderPdfPage\(pdf, pageNum\), true\)/.test(contentCode) && ocrPipelineCode.includes('options.upright ? null'), 'rendered PDF pages skip the orientation search');
+assert(parseImageCode.includes('OcrPipeline.readPassportPage(prepared.canvas)') && !parseImageCode.includes('createWorker'), 'context-menu page reads photos with the shared pipeline');
+assert(!/worker\.terminate\(\);/.test(contentCode), 'content.js does not terminate OCR workers after each image');
+assert(contentCode.includes('pageNum <= pdf.numPages'), 'content.js reads every PDF page');
+assert(!/getPage\(1\)/.test(contentCode), 'content.js no longer stops at the first PDF page');
+assert(contentCode.includes('showGroupFillModal(read.documents.map('), 'a PDF with several passports goes to group fill');
+assert((contentCode.match(/attachPasteHandler\(div, index\);/g) || []).length === 3, 'every drop zone accepts Ctrl+V');
+assert(contentCode.includes("document.addEventListener('paste', handlePagePaste)"), 'page-level paste listener attached with the drop listeners');
+assert(contentCode.includes("item.kind === 'file'"), 'only clipboard files are taken, text paste is left alone');
+assert(contentCode.includes("isEditable(document.activeElement) && e.clipboardData && Array.from(e.clipboardData.types || []).includes('text/plain')"), 'text pasted into a focused field is not taken as a file');
+assert(!contentCode.includes("'Drag & drop or click'") && contentCode.includes('span.innerText = ZONE_HINT;'), 'drop zone status goes back to the Ctrl+V hint');
+assert(contentCode.includes('ImageFormats.detect(header)'), 'uploads dispatched on magic bytes');
+assert(!contentCode.includes("f.type.startsWith('image/')"), 'drop and dialog filters no longer rely on the MIME type alone');
 assert(contentCode.includes('globalDropListenersAttached'), 'content.js attaches global drop listeners only once');
+assert(contentCode.includes('mapWithLimit(entries, OcrPipeline.POOL_SIZE,') && !contentCode.includes('Promise.all(entries.map('), 'group fill reads at most POOL_SIZE files at once');
+assert(contentCode.includes('trip.country = getTripDestination()') && !contentCode.includes('lowerText.indexOf(alias'), 'destination read from the booking form field, not page text');
+assert(contentCode.includes('getValidDateClass(this.value, data, trip)') && !/checkTripValidity\(\{ \.\.\.\(data \|\| \{\}\), validDate: dateStr \}\)/.test(contentCode), 'expiry keystrokes reuse the trip read when the preview opened');
+assert(contentCode.includes('showPreviewModal(parsedData, touristIndex, zoneElement, file)'), 'dropped file passed to the preview image viewer');
+assert(contentCode.includes('PassportParser.readField(target.field, text, data.issuingState)'), 'cropped region re-read into the chosen field');
+assert(['zoomIn', 'zoomOut', 'rotateLeft', 'rotateRight', 'crop', 'ocr'].every(a => contentCode.includes('data-viewer="' + a + '"')), 'viewer has zoom, rotate, crop and re-OCR controls');
+assert(/readFileFormat\(file\) === 'zip'\) \{\s*await handleMultiplePdfs\(\[file\]/.test(contentCode), 'a dropped ZIP goes to group fill');
+assert(contentCode.includes("reason: 'nested folder'") && contentCode.includes("reason: 'not a PDF or image'"), 'nested folders and non-passport files reported as skipped');
+assert(contentCode.includes('showGroupFillModal(parsedResults, available, triggerZone, skipped)'), 'skipped archive entries passed to the group fill modal');
 
 const popupCode = fs.readFileSync(path.join(__dirname, 'popup.js'), 'utf8');
 assert(!popupCode.includes("file && file.type === 'application/pdf' || file.type.startsWith('image/')"), 'popup.js file type checks are parenthesized');
@@ -221,8 +823,17 @@ assert(popupCode.includes('chrome.storage.local.set(data'), 'popup.js imports se
 assert(!popupCode.includes("action: 'importSettings', settings"), 'popup.js import does not depend on background round-trip');
 
 const backgroundCode = fs.readFileSync(path.join(__dirname, 'background.js'), 'utf8');
-assert(backgroundCode.includes('function extractPdfText(pdf)'), 'background.js extracts PDF text through helper');
-assert(backgroundCode.includes('Math.min(pdf.numPages || 1, 3)'), 'background.js caps PDF pages parsed in background');
+assert(decoderFiles.every(f => backgroundCode.includes("'" + f + "'")) && backgroundCode.includes('message.files.every(file => IMAGE_DECODER_FILES.includes(file))'), 'background injects only the listed decoder files');
+assert(backgroundCode.includes('function extractPdfPages(pdf)'), 'background.js extracts PDF text through helper');
+assert(backgroundCode.includes('var count = pdf.numPages || 1;'), 'background.js reads every PDF page');
+assert(backgroundCode.includes("sendResponse({ text: pages.join('\\n'), pages: pages, docId: openPdfDoc(pdf) })"), 'background.js returns the text of each page and keeps the document open');
+assert(backgroundCode.includes("message.action === 'renderPdfPage'") && backgroundCode.includes('.then(renderPdfPage)'), 'background.js renders one requested page per message');
+assert(contentCode.includes('ocrFromDataURL(await renderPdfPageInBackground(file, i + 1))'), 'Firefox OCRs the pages rendered by the background one at a time');
+assert(contentCode.includes('loadDataURLImage(await renderPdfPageInBackground(file, pageNum))'), 'Firefox source viewer asks only for the pages it shows');
+assert(/message\.action === 'closePdfDoc'\) \{\s*closePdfDoc\(message\.docId\)/.test(backgroundCode) && /entry\.pdf\.destroy\(\)/.test(backgroundCode), 'background.js destroys a document on closePdfDoc');
+assert(contentCode.includes("action: 'closePdfDoc'") && (contentCode.match(/releasePdfInBackground\(file\);/g) || []).length >= 6, 'content.js closes background documents when the import or the source viewer is done');
+assert(contentCode.includes('pageNumbers = pageNumbers.slice(0, VIEWER_MAX_PAGES);'), 'source viewer renders at most VIEWER_MAX_PAGES pages');
+assert(!contentCode.includes('!isFirefox()'), 'OCR fallback no longer limited to Chrome');
 
 // Check tesseract.min.js exists locally
 assert(fs.existsSync(path.join(__dirname, 'lib/tesseract.min.js')), 'lib/tesseract.min.js exists');
@@ -247,13 +858,19 @@ try {
     failed++;
     console.error('  FAIL: build manifest checks: ' + e.message);
 }
-console.log('\n=== Results ===');
-console.log('Passed: ' + passed);
-console.log('Failed: ' + failed);
-console.log('Total: ' + (passed + failed));
-if (failed > 0) {
-    console.error('\nTESTS FAILED!');
-    process.exit(1);
-} else {
-    console.log('\nAll tests passed!');
-}
+// Reported once promise-based checks have settled
+Promise.all(asyncChecks).catch(function(e) {
+    failed++;
+    console.error('  FAIL: async checks: ' + e.message);
+}).then(() => setTimeout(function() {
+    console.log('\n=== Results ===');
+    console.log('Passed: ' + passed);
+    console.log('Failed: ' + failed);
+    console.log('Total: ' + (passed + failed));
+    if (failed > 0) {
+        console.error('\nTESTS FAILED!');
+        process.exit(1);
+    } else {
+        console.log('\nAll tests passed!');
+    }
+}));
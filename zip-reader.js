@@ -0,0 +1,126 @@
+if (typeof self !== 'undefined' && self.ZipReader) {
+    // Already loaded — skip
+} else {
+const ZipReader = (function() {
+    'use strict';
+
+    // Minimal in-memory ZIP reader for archives of passports sent by email: stored and
+    // deflated entries, UTF-8 or CP866 names (Russian Windows archivers). No ZIP64, no
+    // encryption — such entries are reported, not read.
+    const EOCD_SIGNATURE = 0x06054b50;
+    const CENTRAL_SIGNATURE = 0x02014b50;
+    const LOCAL_SIGNATURE = 0x04034b50;
+    const EOCD_SIZE = 22;
+    const MAX_COMMENT_SIZE = 0xFFFF;
+    const LOCAL_HEADER_SIZE = 30;
+    const FLAG_ENCRYPTED = 0x1;
+    const FLAG_UTF8 = 0x800;
+    const METHODS = { STORED: 0, DEFLATE: 8 };
+
+    // Limits against archive bombs: an email of family passports is far below both
+    const MAX_ENTRIES = 500;
+    const MAX_ENTRY_SIZE = 100 * 1024 * 1024;
+
+    function findEndOfCentralDirectory(view) {
+        const last = view.byteLength - EOCD_SIZE;
+        for (let i = last; i >= 0 && i >= last - MAX_COMMENT_SIZE; i--) {
+            if (view.getUint32(i, true) === EOCD_SIGNATURE) return i;
+        }
+        return -1;
+    }
+
+    function decodeName(bytes, utf8) {
+        try {
+            return new TextDecoder(utf8 ? 'utf-8' : 'ibm866').decode(bytes);
+        } catch (e) {
+            return new TextDecoder('utf-8').decode(bytes);
+        }
+    }
+
+    // Central directory entries: { name, directory, encrypted, method, size, compressedSize, offset }
+    function listEntries(buffer) {
+        const view = new DataView(buffer);
+        const eocd = findEndOfCentralDirectory(view);
+        if (eocd < 0) throw new Error('Not a ZIP archive');
+
+        const count = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        if (count === 0xFFFF || offset === 0xFFFFFFFF) throw new Error('ZIP64 archives are not supported');
+        if (count > MAX_ENTRIES) throw new Error('Too many files in archive');
+
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) throw new Error('Damaged ZIP archive');
+            const flags = view.getUint16(offset + 8, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const name = decodeName(new Uint8Array(buffer, offset + 46, nameLength), flags & FLAG_UTF8).replace(/\\/g, '/');
+            entries.push({
+                name: name,
+                directory: name.endsWith('/'),
+                encrypted: !!(flags & FLAG_ENCRYPTED),
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                size: view.getUint32(offset + 24, true),
+                offset: view.getUint32(offset + 42, true)
+            });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    }
+
+    // Inflated bytes, read no further than `limit`: the declared size may lie, and a few
+    // kilobytes of deflate can expand to gigabytes. 'deflate-raw' needs Firefox 113.
+    async function inflate(bytes, limit) {
+        const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+        const chunks = [];
+        let total = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            total += value.length;
+            if (total > limit) {
+                reader.cancel().catch(function() {});
+                throw new Error('Damaged ZIP archive');
+            }
+            chunks.push(value);
+        }
+        const result = new Uint8Array(total);
+        let offset = 0;
+        chunks.forEach(function(chunk) {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return result;
+    }
+
+    // Resolves to the entry's bytes
+    async function readEntry(buffer, entry) {
+        if (entry.encrypted) throw new Error('Encrypted file');
+        if (entry.size > MAX_ENTRY_SIZE) throw new Error('File too large');
+        const view = new DataView(buffer);
+        if (view.getUint32(entry.offset, true) !== LOCAL_SIGNATURE) throw new Error('Damaged ZIP archive');
+        const start = entry.offset + LOCAL_HEADER_SIZE + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+        const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+        if (entry.method === METHODS.STORED) return data.slice();
+        if (entry.method === METHODS.DEFLATE) {
+            // entry.size is within MAX_ENTRY_SIZE, checked above
+            const result = await inflate(data, entry.size);
+            if (result.length !== entry.size) throw new Error('Damaged ZIP archive');
+            return result;
+        }
+        throw new Error('Unsupported compression method ' + entry.method);
+    }
+
+    return {
+        listEntries,
+        readEntry
+    };
+})();
+
+if (typeof self !== 'undefined') {
+    self.ZipReader = ZipReader;
+}
+}